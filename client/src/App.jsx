@@ -1,10 +1,14 @@
 import { useState, useCallback } from 'react';
 import AnimatedBackground from './components/AnimatedBackground';
+import NicknameButton from './components/NicknameButton';
 import NowPlaying from './components/NowPlaying';
+import PartyNotFound from './components/PartyNotFound';
 import QueueList from './components/QueueList';
 import SearchOverlay from './components/SearchOverlay';
 import Toast from './components/Toast';
+import { useGuest } from './hooks/useGuest';
 import { useNowPlaying } from './hooks/useNowPlaying';
+import { useParty } from './hooks/useParty';
 import { useQueue } from './hooks/useQueue';
 import './index.css';
 
@@ -13,7 +17,9 @@ function App() {
   const [toast, setToast] = useState({ message: '', isVisible: false, isError: false });
 
   const { track: nowPlaying, isLoading: isNowPlayingLoading } = useNowPlaying();
-  const { queue, isLoading: isQueueLoading, addToQueue } = useQueue();
+  const { queue, myVotes, isLoading: isQueueLoading, addToQueue, vote } = useQueue();
+  const { nickname, canSetNickname, setNickname } = useGuest();
+  const { notFound } = useParty();
 
   const showToast = useCallback((message, isError = false) => {
     setToast({ message, isVisible: true, isError });
@@ -36,11 +42,27 @@ function App() {
 
     if (result.success) {
       showToast('Added to queue!');
-      return true;
     } else {
-      showToast(result.error || 'Failed to add to queue', true);
-      return false;
+      showToast(result.message || result.error || 'Failed to add to queue', true);
     }
+    return result;
+  };
+
+  const handleVote = async (requestId, direction) => {
+    const result = await vote(requestId, direction);
+    if (!result.success) {
+      showToast(result.error || 'Failed to vote', true);
+    }
+  };
+
+  const handleSaveNickname = async (name) => {
+    const result = await setNickname(name);
+    if (result.success) {
+      showToast(result.nickname ? `Your songs will say "added by ${result.nickname}"` : 'Name cleared');
+    } else {
+      showToast(result.error || 'Failed to save name', true);
+    }
+    return result;
   };
 
   return (
@@ -51,7 +73,11 @@ function App() {
       {/* Main App */}
       <div className="app">
         <header className="header">
-          <div className="header-spacer"></div>
+          {canSetNickname ? (
+            <NicknameButton nickname={nickname} onSave={handleSaveNickname} />
+          ) : (
+            <div className="header-spacer"></div>
+          )}
           <h1 className="logo">Electric Love</h1>
           <button className="search-btn" onClick={handleOpenSearch}>
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
@@ -62,11 +88,22 @@ function App() {
         </header>
 
         <main className="content">
-          {/* Now Playing Section */}
-          <NowPlaying track={nowPlaying} isLoading={isNowPlayingLoading} />
+          {notFound ? (
+            <PartyNotFound />
+          ) : (
+            <>
+              {/* Now Playing Section */}
+              <NowPlaying track={nowPlaying} isLoading={isNowPlayingLoading} />
 
-          {/* Queue Section */}
-          <QueueList queue={queue} isLoading={isQueueLoading} />
+              {/* Queue Section */}
+              <QueueList
+                queue={queue}
+                isLoading={isQueueLoading}
+                myVotes={myVotes}
+                onVote={handleVote}
+              />
+            </>
+          )}
         </main>
       </div>
 
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { useAdmissionRules } from '../hooks/useAdmissionRules';
+
+// Options for each admission rule type, and how a saved rule reads
+const RULE_FIELDS = {
+  duration: [
+    { key: 'minMinutes', label: 'Shortest (minutes)' },
+    { key: 'maxMinutes', label: 'Longest (minutes)' },
+  ],
+  popularity: [{ key: 'min', label: 'Minimum popularity (0-100)' }],
+  release_year: [
+    { key: 'from', label: 'From year' },
+    { key: 'to', label: 'To year' },
+  ],
+  artist_per_hour: [{ key: 'max', label: 'Songs per artist per hour' }],
+};
+
+function describeRule({ type, options }) {
+  switch (type) {
+    case 'duration':
+      return [
+        options.minMinutes !== undefined && `at least ${options.minMinutes} min`,
+        options.maxMinutes !== undefined && `at most ${options.maxMinutes} min`,
+      ].filter(Boolean).join(', ');
+    case 'popularity':
+      return `popularity ${options.min}+`;
+    case 'release_year':
+      return [options.from ?? '', options.to ?? ''].join(' - ');
+    case 'artist_per_hour':
+      return `${options.max} per artist per hour`;
+    default:
+      return '';
+  }
+}
+
+function AdmissionRules({ onShowToast }) {
+  const { rules, types, addRule, updateRule, removeRule } = useAdmissionRules();
+  const [type, setType] = useState('duration');
+  const [options, setOptions] = useState({});
+
+  const report = (result, success) => {
+    onShowToast(result.success ? success : result.error, !result.success);
+    return result.success;
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (report(await addRule(type, options), 'Rule added')) {
+      setOptions({});
+    }
+  };
+
+  const labelFor = (ruleType) => types.find(t => t.id === ruleType)?.label || ruleType;
+
+  return (
+    <>
+      {rules.length > 0 && (
+        <ul className="host-blocklist">
+          {rules.map(rule => (
+            <li key={rule.id}>
+              <label className="host-toggle">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={async (e) => report(await updateRule(rule.id, { enabled: e.target.checked }), 'Rule updated')}
+                />
+                <span><small>{labelFor(rule.type)}</small> {describeRule(rule)}</span>
+              </label>
+              <button className="host-btn" onClick={async () => report(await removeRule(rule.id), 'Rule removed')}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="host-playlist" onSubmit={handleAdd}>
+        <div className="host-presets">
+          {types.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              className={`host-preset ${option.id === type ? 'active' : ''}`}
+              onClick={() => {
+                setType(option.id);
+                setOptions({});
+              }}
+            >
+              <span className="host-preset-name">{option.label}</span>
+            </button>
+          ))}
+        </div>
+        {(RULE_FIELDS[type] || []).map(field => (
+          <label key={field.key} className="host-field">
+            <span>{field.label}</span>
+            <input
+              type="number"
+              className="search-input"
+              value={options[field.key] ?? ''}
+              onChange={(e) => setOptions({ ...options, [field.key]: e.target.value })}
+            />
+          </label>
+        ))}
+        <button type="submit" className="host-btn">Add rule</button>
+      </form>
+    </>
+  );
+}
+
+export default AdmissionRules;
@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react';
+import { useBlocklist } from '../hooks/useBlocklist';
+
+const BLOCK_TYPES = [
+  { id: 'track', label: 'Song', placeholder: 'Spotify song link' },
+  { id: 'artist', label: 'Artist', placeholder: 'Spotify artist link' },
+  { id: 'keyword', label: 'Title', placeholder: 'Words in the title, * for anything' },
+];
+
+function Blocklist({ onShowToast }) {
+  const { entries, message, block, unblock, updateMessage } = useBlocklist();
+  const [type, setType] = useState('track');
+  const [value, setValue] = useState('');
+  const [draftMessage, setDraftMessage] = useState('');
+
+  useEffect(() => {
+    setDraftMessage(message);
+  }, [message]);
+
+  const report = (result, success) => {
+    onShowToast(result.success ? success : result.error, !result.success);
+    return result.success;
+  };
+
+  const handleBlock = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+    if (report(await block(type, value.trim()), 'Blocked')) {
+      setValue('');
+    }
+  };
+
+  const handleMessage = async (e) => {
+    e.preventDefault();
+    report(await updateMessage(draftMessage), 'Message saved');
+  };
+
+  const placeholder = BLOCK_TYPES.find(t => t.id === type).placeholder;
+
+  return (
+    <>
+      {entries.length > 0 && (
+        <ul className="host-blocklist">
+          {entries.map(entry => (
+            <li key={entry.id}>
+              <span>
+                <small>{BLOCK_TYPES.find(t => t.id === entry.type)?.label}</small> {entry.label || entry.value}
+              </span>
+              <button className="host-btn" onClick={async () => report(await unblock(entry.id), 'Unblocked')}>
+                Unblock
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="host-playlist" onSubmit={handleBlock}>
+        <div className="host-presets">
+          {BLOCK_TYPES.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              className={`host-preset ${option.id === type ? 'active' : ''}`}
+              onClick={() => setType(option.id)}
+            >
+              <span className="host-preset-name">{option.label}</span>
+            </button>
+          ))}
+        </div>
+        <input
+          type="text"
+          className="search-input"
+          placeholder={placeholder}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+        />
+        <button type="submit" className="host-btn" disabled={!value.trim()}>Block</button>
+      </form>
+
+      <form className="host-playlist" onSubmit={handleMessage}>
+        <p className="host-note">What guests see for a blocked song</p>
+        <input
+          type="text"
+          className="search-input"
+          value={draftMessage}
+          onChange={(e) => setDraftMessage(e.target.value)}
+        />
+        <button type="submit" className="host-btn" disabled={draftMessage === message}>Save message</button>
+      </form>
+    </>
+  );
+}
+
+export default Blocklist;
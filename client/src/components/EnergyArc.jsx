@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { formatValue } from '../vibeFeatures';
+
+// Energy (and optional tempo) targets through the night for the arc preset
+function EnergyArc({ arc, onSave }) {
+  const [points, setPoints] = useState([]);
+
+  useEffect(() => {
+    setPoints(arc?.points.map(({ at, energy, tempo }) => ({ at, energy, tempo: tempo ?? '' })) || [
+      { at: '21:00', energy: 0.4, tempo: 100 },
+      { at: '00:00', energy: 0.9, tempo: 128 },
+    ]);
+  }, [arc?.points]);
+
+  const updatePoint = (index, change) => {
+    setPoints(points.map((point, i) => (i === index ? { ...point, ...change } : point)));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(points.map(point => ({
+      at: point.at,
+      energy: Number(point.energy),
+      tempo: point.tempo === '' ? undefined : Number(point.tempo),
+    })));
+  };
+
+  return (
+    <form className="host-playlist" onSubmit={handleSubmit}>
+      <p className="host-note">
+        Songs have to sit near the curve at the time they're requested. Times run in order through the night.
+      </p>
+      <ul className="host-blocklist">
+        {points.map((point, index) => (
+          <li key={index} className="host-schedule-row">
+            <input
+              type="time"
+              className="search-input"
+              value={point.at}
+              onChange={(e) => updatePoint(index, { at: e.target.value })}
+            />
+            <input
+              type="number"
+              min="0"
+              max="1"
+              step="0.05"
+              className="search-input"
+              title="Energy (0-1)"
+              value={point.energy}
+              onChange={(e) => updatePoint(index, { energy: e.target.value })}
+            />
+            <input
+              type="number"
+              min="40"
+              max="220"
+              className="search-input"
+              title="Tempo (BPM, optional)"
+              placeholder="BPM"
+              value={point.tempo}
+              onChange={(e) => updatePoint(index, { tempo: e.target.value })}
+            />
+            <button
+              type="button"
+              className="host-btn"
+              disabled={points.length <= 2}
+              onClick={() => setPoints(points.filter((_, i) => i !== index))}
+            >
+              &times;
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="host-exports">
+        <button
+          type="button"
+          className="host-btn"
+          onClick={() => setPoints([...points, { ...points[points.length - 1] }])}
+        >
+          Add point
+        </button>
+        <button type="submit" className="host-btn primary">Save arc</button>
+      </div>
+      {arc?.target && (
+        <p className="host-note">
+          Right now: energy {formatValue(arc.target.energy, 0.05)}
+          {arc.target.tempo !== undefined && `, ${formatValue(arc.target.tempo, 1)} BPM`}
+        </p>
+      )}
+    </form>
+  );
+}
+
+export default EnergyArc;
@@ -0,0 +1,26 @@
+// Whether explicit songs can be queued, and whether search still lists them
+function ExplicitFilter({ filter, onChange }) {
+  return (
+    <>
+      <label className="host-toggle">
+        <input
+          type="checkbox"
+          checked={!!filter?.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        <span>Block explicit songs</span>
+      </label>
+      <label className="host-toggle">
+        <input
+          type="checkbox"
+          checked={!!filter?.hideInSearch}
+          disabled={!filter?.enabled}
+          onChange={(e) => onChange({ hideInSearch: e.target.checked })}
+        />
+        <span>Hide them from search instead of greying them out</span>
+      </label>
+    </>
+  );
+}
+
+export default ExplicitFilter;
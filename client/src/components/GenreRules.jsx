@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+
+// Comma-separated genre terms, e.g. "house, techno, disco"
+function GenreRules({ rules, onSave }) {
+  const [allow, setAllow] = useState('');
+  const [block, setBlock] = useState('');
+  const [allowUnknown, setAllowUnknown] = useState(false);
+
+  useEffect(() => {
+    setAllow(rules?.allow.join(', ') || '');
+    setBlock(rules?.block.join(', ') || '');
+    setAllowUnknown(!!rules?.allowUnknown);
+  }, [rules]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ allow, block, allowUnknown });
+  };
+
+  return (
+    <form className="host-playlist" onSubmit={handleSubmit}>
+      <p className="host-note">Matches any part of an artist's Spotify genres, so "house" covers "deep house".</p>
+      <input
+        type="text"
+        className="search-input"
+        placeholder="Only these genres (e.g. house, techno, disco)"
+        value={allow}
+        onChange={(e) => setAllow(e.target.value)}
+      />
+      <label className="host-toggle">
+        <input
+          type="checkbox"
+          checked={allowUnknown}
+          onChange={(e) => setAllowUnknown(e.target.checked)}
+        />
+        <span>Also let through artists Spotify has no genres for</span>
+      </label>
+      <input
+        type="text"
+        className="search-input"
+        placeholder="Never these genres (e.g. country)"
+        value={block}
+        onChange={(e) => setBlock(e.target.value)}
+      />
+      <button type="submit" className="host-btn">Save genres</button>
+    </form>
+  );
+}
+
+export default GenreRules;
@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+import { useRateLimits } from '../hooks/useRateLimits';
+
+const POLICY_FIELDS = [
+  { key: 'capacity', label: 'Songs each guest can add', min: 1, max: 1000 },
+  { key: 'refillPerHour', label: 'Songs they get back per hour', min: 0, max: 1000 },
+  { key: 'minGapSeconds', label: 'Seconds between adds', min: 0, max: 3600 },
+  { key: 'maxPending', label: 'Songs waiting per guest (0 = no cap)', min: 0, max: 100 },
+];
+
+function GuestLimits({ onShowToast }) {
+  const { policy, overrides, recentGuests, updatePolicy, setOverride, removeOverride } = useRateLimits();
+  const [draft, setDraft] = useState(null);
+  const [label, setLabel] = useState('');
+
+  useEffect(() => {
+    setDraft(policy);
+  }, [policy]);
+
+  const report = (result, success) => {
+    onShowToast(result.success ? success : result.error, !result.success);
+    return result.success;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const changes = Object.fromEntries(POLICY_FIELDS.map(({ key }) => [key, Number(draft[key])]));
+    report(await updatePolicy(changes), 'Limits saved');
+  };
+
+  const handleUnlimited = async (guest) => {
+    const name = label.trim() || guest.nickname
+      || (guest.lastRequest ? `Asked for ${guest.lastRequest}` : 'Guest');
+    if (report(await setOverride(guest.guestId, { label: name, unlimited: true }), `${name} has no limit`)) {
+      setLabel('');
+    }
+  };
+
+  if (!draft) {
+    return null;
+  }
+
+  const overridden = new Set(overrides.map(override => override.guestId));
+
+  return (
+    <>
+      <form className="host-playlist" onSubmit={handleSave}>
+        {POLICY_FIELDS.map(({ key, label: fieldLabel, min, max }) => (
+          <label key={key} className="host-field">
+            <span>{fieldLabel}</span>
+            <input
+              type="number"
+              min={min}
+              max={max}
+              className="search-input"
+              value={draft[key]}
+              onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+            />
+          </label>
+        ))}
+        <button type="submit" className="host-btn">Save limits</button>
+      </form>
+
+      {overrides.length > 0 && (
+        <ul className="host-blocklist">
+          {overrides.map(override => (
+            <li key={override.guestId}>
+              <span>
+                <small>{override.unlimited ? 'No limit' : `${override.capacity ?? policy.capacity} songs`}</small>
+                {' '}{override.label || 'Guest'}
+              </span>
+              <button
+                className="host-btn"
+                onClick={async () => report(await removeOverride(override.guestId), 'Back to normal limits')}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {recentGuests.some(guest => !overridden.has(guest.guestId)) && (
+        <div className="host-playlist">
+          <p className="host-note">Recent guests - lift the limit for someone special</p>
+          <input
+            type="text"
+            className="search-input"
+            placeholder="Who is it? (e.g. the birthday star)"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+          />
+          <ul className="host-blocklist">
+            {recentGuests.filter(guest => !overridden.has(guest.guestId)).map(guest => (
+              <li key={guest.guestId}>
+                <span>
+                  {guest.nickname && <>{guest.nickname} </>}
+                  <small>last asked for</small> {guest.lastRequest || 'a song'}
+                </span>
+                <button className="host-btn" onClick={() => handleUnlimited(guest)}>No limit</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default GuestLimits;
@@ -0,0 +1,43 @@
+import { useState } from 'react';
+import { loginUrl } from '../party';
+
+function HostLogin({ onPinLogin }) {
+  const [pin, setPin] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!pin || isSubmitting) return;
+
+    setIsSubmitting(true);
+    await onPinLogin(pin);
+    setIsSubmitting(false);
+    setPin('');
+  };
+
+  return (
+    <section className="host-card">
+      <h3 className="section-title">Host Login</h3>
+      <p className="host-note">Log in with the Spotify account that's playing the party.</p>
+      <a className="host-btn primary" href={loginUrl()}>Log in with Spotify</a>
+
+      <form className="host-pin" onSubmit={handleSubmit}>
+        <p className="host-note">Already the host on another device? Enter the party's host PIN from there.</p>
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          className="search-input"
+          placeholder="Host PIN"
+          value={pin}
+          onChange={(e) => setPin(e.target.value)}
+        />
+        <button type="submit" className="host-btn" disabled={!pin || isSubmitting}>
+          Unlock
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export default HostLogin;
@@ -0,0 +1,226 @@
+import { useState, useEffect, useCallback } from 'react';
+import AnimatedBackground from './AnimatedBackground';
+import Toast from './Toast';
+import HostLogin from './HostLogin';
+import VibeControls from './VibeControls';
+import VibeSchedule from './VibeSchedule';
+import ExplicitFilter from './ExplicitFilter';
+import GenreRules from './GenreRules';
+import Blocklist from './Blocklist';
+import AdmissionRules from './AdmissionRules';
+import GuestLimits from './GuestLimits';
+import PartyHistory from './PartyHistory';
+import VibePreview from './VibePreview';
+import { useHost } from '../hooks/useHost';
+import { useNowPlaying } from '../hooks/useNowPlaying';
+import { useParty } from '../hooks/useParty';
+import PartyNotFound from './PartyNotFound';
+import { partyCode, partyPath, loginUrl } from '../party';
+
+function HostPanel() {
+  const {
+    auth,
+    vibe,
+    isLoading,
+    loginWithPin,
+    disconnect,
+    updateVibe,
+    updateGenres,
+    updateExplicitFilter,
+    updateSchedule,
+    updateArc,
+    savePlaylist,
+  } = useHost();
+  const { track } = useNowPlaying();
+  const { notFound } = useParty();
+  const [toast, setToast] = useState({ message: '', isVisible: false, isError: false });
+
+  const showToast = useCallback((message, isError = false) => {
+    setToast({ message, isVisible: true, isError });
+  }, []);
+
+  const hideToast = useCallback(() => {
+    setToast(prev => ({ ...prev, isVisible: false }));
+  }, []);
+
+  // Surface the result of the Spotify OAuth redirect
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('error')) {
+      showToast(`Login failed: ${params.get('error').replace(/_/g, ' ')}`, true);
+    } else if (params.get('authenticated')) {
+      showToast('Connected to Spotify!');
+    }
+    if (params.toString()) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }, [showToast]);
+
+  const handlePinLogin = async (pin) => {
+    const result = await loginWithPin(pin);
+    showToast(result.success ? 'Welcome back, host!' : result.error, !result.success);
+  };
+
+  const handleDisconnect = async () => {
+    const result = await disconnect();
+    showToast(result.success ? 'Disconnected from Spotify' : result.error, !result.success);
+  };
+
+  const handleSaveGenres = async (genreRules) => {
+    const result = await updateGenres(genreRules);
+    showToast(result.success ? 'Genre rules saved' : result.error, !result.success);
+  };
+
+  const handleExplicitChange = async (change) => {
+    const result = await updateExplicitFilter(change);
+    if (!result.success) {
+      showToast(result.error, true);
+    } else if (change.enabled !== undefined) {
+      showToast(result.explicitFilter.enabled ? 'Explicit songs blocked' : 'Explicit songs allowed');
+    }
+  };
+
+  const handleSaveSchedule = async (entries) => {
+    const result = await updateSchedule(entries);
+    if (!result.success) {
+      showToast(result.error, true);
+    } else {
+      showToast(entries.length ? 'Schedule saved' : 'Schedule stopped');
+    }
+  };
+
+  const handleSaveArc = async (points) => {
+    const result = await updateArc(points);
+    showToast(result.success ? 'Energy arc saved' : result.error, !result.success);
+  };
+
+  const handleSavePlaylist = async (playlistId) => {
+    const result = await savePlaylist({ playlistId });
+    if (result.success) {
+      const skipped = result.skipped ? ` (${result.skipped} already there)` : '';
+      showToast(`Saved ${result.added} song${result.added === 1 ? '' : 's'} to Spotify${skipped}`);
+    } else {
+      showToast(result.error, true);
+    }
+    return result;
+  };
+
+  return (
+    <>
+      <AnimatedBackground />
+
+      <div className="app">
+        <header className="header">
+          <a className="host-back" href={partyPath()}>&larr; Party</a>
+          <h1 className="logo">Host Controls</h1>
+          <div className="header-spacer"></div>
+        </header>
+
+        <main className="content host-content">
+          {notFound && <PartyNotFound />}
+
+          {!notFound && isLoading && <div className="loading-state">Loading...</div>}
+
+          {!notFound && !isLoading && !auth?.isHost && (
+            <HostLogin onPinLogin={handlePinLogin} />
+          )}
+
+          {!notFound && !isLoading && auth?.isHost && (
+            <>
+              {/* Spotify connection */}
+              <section className="host-card">
+                <div className="section-header">
+                  <h3 className="section-title">Spotify</h3>
+                  <span className="queue-badge">{auth.authenticated ? 'Connected' : 'Disconnected'}</span>
+                </div>
+                {auth.authenticated ? (
+                  <button className="host-btn" onClick={handleDisconnect}>Disconnect Spotify</button>
+                ) : (
+                  <a className="host-btn primary" href={loginUrl()}>Connect Spotify</a>
+                )}
+              </section>
+
+              {/* Join code */}
+              <section className="host-card">
+                <h3 className="section-title">Invite Guests</h3>
+                <div className="host-party-code">{partyCode}</div>
+                <p className="host-note">
+                  Guests join at <strong>{window.location.origin}{partyPath()}</strong> or enter the code on the start page.
+                </p>
+                {auth.hostPin && (
+                  <p className="host-note">
+                    Host PIN <strong>{auth.hostPin}</strong> - unlocks these controls on another device. Keep it to yourself.
+                  </p>
+                )}
+              </section>
+
+              <VibeControls
+                vibe={vibe}
+                onUpdateVibe={updateVibe}
+                onSaveArc={handleSaveArc}
+                onShowToast={showToast}
+              />
+
+              {/* Presets through the night */}
+              <section className="host-card">
+                <h3 className="section-title">Schedule</h3>
+                <VibeSchedule vibe={vibe} onSave={handleSaveSchedule} />
+              </section>
+
+              {/* Family-friendly mode */}
+              <section className="host-card">
+                <h3 className="section-title">Explicit Songs</h3>
+                <ExplicitFilter filter={vibe?.explicitFilter} onChange={handleExplicitChange} />
+              </section>
+
+              {/* Genre allow/block lists */}
+              <section className="host-card">
+                <h3 className="section-title">Genres</h3>
+                <GenreRules rules={vibe?.genreRules} onSave={handleSaveGenres} />
+              </section>
+
+              {/* Songs, artists and titles nobody can queue */}
+              <section className="host-card">
+                <h3 className="section-title">Blocklist</h3>
+                <Blocklist onShowToast={showToast} />
+              </section>
+
+              {/* Length, popularity, year and artist rules */}
+              <section className="host-card">
+                <h3 className="section-title">Song Rules</h3>
+                <AdmissionRules onShowToast={showToast} />
+              </section>
+
+              {/* How many songs guests can add */}
+              <section className="host-card">
+                <h3 className="section-title">Guest Limits</h3>
+                <GuestLimits onShowToast={showToast} />
+              </section>
+
+              {/* Party recap downloads */}
+              <section className="host-card">
+                <h3 className="section-title">Party History</h3>
+                <PartyHistory onSavePlaylist={handleSavePlaylist} />
+              </section>
+
+              {/* Live preview */}
+              <section className="host-card">
+                <h3 className="section-title">Now Playing vs. Vibe</h3>
+                <VibePreview track={track} vibe={vibe} />
+              </section>
+            </>
+          )}
+        </main>
+      </div>
+
+      <Toast
+        message={toast.message}
+        isVisible={toast.isVisible}
+        isError={toast.isError}
+        onHide={hideToast}
+      />
+    </>
+  );
+}
+
+export default HostPanel;
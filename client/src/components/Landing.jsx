@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import AnimatedBackground from './AnimatedBackground';
+import { partyPath, hostPath } from '../party';
+
+const ERROR_MESSAGES = {
+  party_not_found: "That party doesn't exist anymore. Start a new one?",
+};
+
+// Start page: host a new party or join one with its code
+function Landing() {
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(() => {
+    const param = new URLSearchParams(window.location.search).get('error');
+    return param ? ERROR_MESSAGES[param] || 'Something went wrong' : null;
+  });
+  const [isBusy, setIsBusy] = useState(false);
+
+  const handleStart = async () => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/parties', { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Could not start a party');
+      }
+      window.location.href = hostPath(data.code);
+    } catch (err) {
+      setError(err.message);
+      setIsBusy(false);
+    }
+  };
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    const trimmed = code.trim().toUpperCase();
+    if (!trimmed) return;
+
+    setIsBusy(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/parties/${encodeURIComponent(trimmed)}`);
+      if (response.status === 404) {
+        throw new Error(`No party with code ${trimmed}`);
+      }
+      if (!response.ok) {
+        throw new Error('Could not find the party');
+      }
+      window.location.href = partyPath(trimmed);
+    } catch (err) {
+      setError(err.message);
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <AnimatedBackground />
+
+      <div className="app">
+        <header className="header landing-header">
+          <h1 className="logo">Electric Love</h1>
+        </header>
+
+        <main className="content host-content">
+          <form className="host-card" onSubmit={handleJoin}>
+            <h3 className="section-title">Join a Party</h3>
+            <input
+              type="text"
+              className="search-input landing-code"
+              placeholder="Party code"
+              autoCapitalize="characters"
+              autoComplete="off"
+              maxLength={12}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            <button type="submit" className="host-btn primary" disabled={isBusy || !code.trim()}>Join</button>
+          </form>
+
+          <section className="host-card">
+            <h3 className="section-title">Host a Party</h3>
+            <p className="host-note">Get a code for your guests, then connect the Spotify account that's playing.</p>
+            <button className="host-btn" onClick={handleStart} disabled={isBusy}>Start a party</button>
+          </section>
+
+          {error && <p className="landing-error">{error}</p>}
+        </main>
+      </div>
+    </>
+  );
+}
+
+export default Landing;
@@ -0,0 +1,63 @@
+import { useState } from 'react';
+
+// Header button for setting the name shown as "added by" on your songs
+function NicknameButton({ nickname, onSave }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleOpen = () => {
+    setDraft(nickname || '');
+    setIsOpen(prev => !prev);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const result = await onSave(draft.trim());
+    setIsSaving(false);
+    if (result.success) {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="nickname">
+      <button
+        className={`nickname-btn ${nickname ? 'named' : ''}`}
+        onClick={handleOpen}
+        aria-label={nickname ? `Your name: ${nickname}` : 'Set your name'}
+      >
+        {nickname ? (
+          nickname.charAt(0).toUpperCase()
+        ) : (
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+            <circle cx="12" cy="8" r="4"></circle>
+            <path d="M4 21c0-4 4-6 8-6s8 2 8 6"></path>
+          </svg>
+        )}
+      </button>
+
+      {isOpen && (
+        <form className="nickname-popover" onSubmit={handleSubmit}>
+          <label htmlFor="nickname-input">Your name on the queue</label>
+          <input
+            id="nickname-input"
+            type="text"
+            className="search-input"
+            placeholder="e.g. Sam"
+            maxLength={24}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            autoFocus
+          />
+          <button type="submit" className="host-btn" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default NicknameButton;
@@ -76,6 +76,9 @@ function NowPlaying({ track, isLoading }) {
         <h2 className="track-title">{trackName}</h2>
         <p className="track-artist">{artistName}</p>
         <p className="track-album">{albumName}</p>
+        {track.requestedBy && (
+          <p className="track-requester">added by {track.requestedBy}</p>
+        )}
       </div>
 
       <div className="progress">
@@ -0,0 +1,19 @@
+import SavePlaylist from './SavePlaylist';
+import { partyApi } from '../party';
+
+// Recap downloads of the night, and saving it as a Spotify playlist
+function PartyHistory({ onSavePlaylist }) {
+  return (
+    <>
+      <p className="host-note">Every request and every song that played, for the recap.</p>
+      <div className="host-exports">
+        <a className="host-btn" href={partyApi('/history/export?format=m3u')}>Playlist (M3U)</a>
+        <a className="host-btn" href={partyApi('/history/export?format=csv')}>Spreadsheet (CSV)</a>
+        <a className="host-btn" href={partyApi('/history/export?format=json')}>Raw (JSON)</a>
+      </div>
+      <SavePlaylist onSave={onSavePlaylist} />
+    </>
+  );
+}
+
+export default PartyHistory;
@@ -0,0 +1,13 @@
+import { partyCode } from '../party';
+
+// Shown for a party code that doesn't exist (mistyped, or the server restarted)
+function PartyNotFound() {
+  return (
+    <div className="empty-state">
+      <p>No party with code {partyCode}</p>
+      <small>Check the code with your host, or <a href="/">start a new party</a>.</small>
+    </div>
+  );
+}
+
+export default PartyNotFound;
@@ -6,7 +6,29 @@ function formatDuration(ms) {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
-function QueueItem({ track, position, isNextUp }) {
+function VoteButtons({ score, myVote, onVote }) {
+  return (
+    <div className="vote-buttons">
+      <button
+        className={`vote-btn ${myVote === 1 ? 'active' : ''}`}
+        onClick={() => onVote(1)}
+        aria-label="Upvote"
+      >
+        &#9650;
+      </button>
+      <span className={`vote-score ${score > 0 ? 'positive' : score < 0 ? 'negative' : ''}`}>{score || 0}</span>
+      <button
+        className={`vote-btn ${myVote === -1 ? 'active' : ''}`}
+        onClick={() => onVote(-1)}
+        aria-label="Downvote"
+      >
+        &#9660;
+      </button>
+    </div>
+  );
+}
+
+function QueueItem({ track, position, isNextUp, myVote, onVote }) {
   const defaultImage = 'https://i.scdn.co/image/ab67616d0000b273e8b066f70c206551210d902b';
 
   const albumImage = track.album?.images?.[1]?.url || track.album?.images?.[0]?.url || defaultImage;
@@ -22,13 +44,24 @@ function QueueItem({ track, position, isNextUp }) {
       <div className="queue-info">
         <div className="queue-track">{trackName}</div>
         <div className="queue-artist">{artistName}</div>
+        {track.requestedBy && (
+          <div className="queue-requester">added by {track.requestedBy}</div>
+        )}
       </div>
-      <span className="queue-duration">{formatDuration(track.duration_ms)}</span>
+      {track.pending && onVote ? (
+        <VoteButtons
+          score={track.score}
+          myVote={myVote}
+          onVote={(direction) => onVote(track.requestId, direction)}
+        />
+      ) : (
+        <span className="queue-duration">{formatDuration(track.duration_ms)}</span>
+      )}
     </div>
   );
 }
 
-function QueueList({ queue, isLoading }) {
+function QueueList({ queue, isLoading, myVotes, onVote }) {
   if (isLoading && (!queue || queue.length === 0)) {
     return (
       <section className="queue-section">
@@ -66,10 +99,12 @@ function QueueList({ queue, isLoading }) {
       <div className="queue-list">
         {queue.map((track, index) => (
           <QueueItem
-            key={track.uri || `queue-${index}`}
+            key={track.requestId || track.uri || `queue-${index}`}
             track={track}
             position={index + 1}
             isNextUp={index === 0}
+            myVote={myVotes?.get(track.requestId) || 0}
+            onVote={onVote}
           />
         ))}
       </div>
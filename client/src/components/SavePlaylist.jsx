@@ -0,0 +1,41 @@
+import { useState } from 'react';
+
+// Save the night's play history to Spotify
+function SavePlaylist({ onSave }) {
+  const [playlistId, setPlaylistId] = useState('');
+  const [saved, setSaved] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    setIsSaving(true);
+    const result = await onSave(playlistId.trim() || undefined);
+    setIsSaving(false);
+    if (result.success) {
+      setSaved(result);
+    }
+  };
+
+  return (
+    <form className="host-playlist" onSubmit={handleSubmit}>
+      <p className="host-note">Save everything that played to Spotify. Paste a playlist link to add to it instead.</p>
+      <input
+        type="text"
+        className="search-input"
+        placeholder="Existing playlist (optional)"
+        value={playlistId}
+        onChange={(e) => setPlaylistId(e.target.value)}
+      />
+      <button type="submit" className="host-btn primary" disabled={isSaving}>
+        {playlistId.trim() ? 'Add to playlist' : 'Save as new playlist'}
+      </button>
+      {saved?.url && (
+        <a className="host-note" href={saved.url} target="_blank" rel="noreferrer">Open in Spotify &rarr;</a>
+      )}
+    </form>
+  );
+}
+
+export default SavePlaylist;
@@ -1,4 +1,5 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
+import { partyApi } from '../party';
 
 function formatDuration(ms) {
   if (!ms || ms < 0) return '0:00';
@@ -8,7 +9,12 @@ function formatDuration(ms) {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
-function SearchItem({ track, onAdd, addingUri, wasAdded, wasRejected, rejectedReason }) {
+const QUEUE_STATUS_LABELS = {
+  queued: 'Already queued',
+  just_played: 'Just played',
+};
+
+function SearchItem({ track, onAdd, addingUri, wasAdded, wasRejected, rejectedReason, queueStatus, explicitBlocked, blockedMessage, vibeCheck }) {
   const defaultImage = 'https://i.scdn.co/image/ab67616d0000b273e8b066f70c206551210d902b';
 
   const albumImage = track.album?.images?.[1]?.url || track.album?.images?.[0]?.url || defaultImage;
@@ -17,35 +23,56 @@ function SearchItem({ track, onAdd, addingUri, wasAdded, wasRejected, rejectedRe
   const albumName = track.album?.name || '';
 
   const isLoading = addingUri === track.uri;
+  const isUnavailable = !wasAdded && !!queueStatus;
+  const isBlocked = !wasAdded && (explicitBlocked || !!blockedMessage);
+  // Pre-check from POST /api/vibe/check; the vibe can move before the tap, so it's only a hint
+  const vibeClash = !wasAdded && !wasRejected && vibeCheck?.matches === false;
 
   const handleAdd = (e) => {
     e.stopPropagation();
-    if (isLoading || wasAdded || wasRejected) return;
+    if (isLoading || wasAdded || wasRejected || isUnavailable || isBlocked) return;
 
     onAdd(track.uri);
   };
 
   return (
-    <div className={`search-item ${wasRejected ? 'rejected' : ''}`}>
+    <div className={`search-item ${wasRejected ? 'rejected' : ''} ${isUnavailable || isBlocked ? 'unavailable' : ''}`}>
       <div className="search-thumb">
         <img src={albumImage} alt="" />
       </div>
       <div className="search-info">
-        <div className="search-track">{trackName}</div>
+        <div className="search-track">
+          {track.explicit && <span className="explicit-badge" title="Explicit">E</span>}
+          {trackName}
+          {vibeCheck && !isBlocked && !isUnavailable && (
+            <span
+              className={`vibe-badge ${vibeCheck.matches ? 'fits' : 'clashes'}`}
+              title={vibeCheck.reason || vibeCheck.note || ''}
+            >
+              {vibeCheck.matches ? 'Fits' : "Doesn't fit"}
+            </span>
+          )}
+        </div>
         <div className="search-meta">
           {wasRejected ? (
             <span className="rejected-reason">😬 {rejectedReason || "Doesn't match the vibe"}</span>
+          ) : isBlocked ? (
+            <span className="queue-status">{blockedMessage || 'No explicit songs tonight'} &middot; {artistName}</span>
+          ) : isUnavailable ? (
+            <span className="queue-status">{QUEUE_STATUS_LABELS[queueStatus]} &middot; {artistName}</span>
+          ) : vibeClash ? (
+            <span className="vibe-reason">{vibeCheck.reason || "Doesn't match the vibe"} &middot; {artistName}</span>
           ) : (
             <>{artistName} {albumName && `\u00B7 ${albumName}`}</>
           )}
         </div>
       </div>
       <button
-        className={`add-btn ${isLoading ? 'loading' : ''} ${wasAdded ? 'added' : ''} ${wasRejected ? 'rejected' : ''}`}
+        className={`add-btn ${isLoading ? 'loading' : ''} ${wasAdded ? 'added' : ''} ${wasRejected ? 'rejected' : ''} ${isUnavailable || isBlocked ? 'unavailable' : ''}`}
         onClick={handleAdd}
-        disabled={wasRejected}
+        disabled={wasRejected || isUnavailable || isBlocked}
       >
-        <span>{wasAdded ? '\u2713' : wasRejected ? '\u2717' : isLoading ? '\u25CB' : '+'}</span>
+        <span>{wasAdded ? '\u2713' : wasRejected || isBlocked ? '\u2717' : isUnavailable ? '\u2713' : isLoading ? '\u25CB' : '+'}</span>
       </button>
     </div>
   );
@@ -54,10 +81,15 @@ function SearchItem({ track, onAdd, addingUri, wasAdded, wasRejected, rejectedRe
 function SearchOverlay({ isOpen, onClose, onAddToQueue, onShowToast }) {
   const [query, setQuery] = useState('');
   const [results, setResults] = useState([]);
+  const [explicitFilter, setExplicitFilter] = useState(false);
+  const [blockedMessage, setBlockedMessage] = useState('');
+  const [blockedUris, setBlockedUris] = useState(new Set());
   const [isSearching, setIsSearching] = useState(false);
   const [addingUri, setAddingUri] = useState(null);
   const [addedUris, setAddedUris] = useState(new Set());
   const [rejectedUris, setRejectedUris] = useState(new Map()); // uri -> reason
+  const [duplicateUris, setDuplicateUris] = useState(new Map()); // uri -> queueStatus
+  const [vibeChecks, setVibeChecks] = useState({}); // trackId -> { matches, reason }
   const inputRef = useRef(null);
   const debounceRef = useRef(null);
 
@@ -75,9 +107,40 @@ function SearchOverlay({ isOpen, onClose, onAddToQueue, onShowToast }) {
       setResults([]);
       setAddedUris(new Set());
       setRejectedUris(new Map());
+      setDuplicateUris(new Map());
+      setBlockedUris(new Set());
+      setVibeChecks({});
     }
   }, [isOpen]);
 
+  // Check the whole page of results against the vibe and the host's rules in one request
+  useEffect(() => {
+    const trackIds = results.map(track => track.id).filter(Boolean);
+    if (trackIds.length === 0) return;
+
+    let cancelled = false;
+    fetch(partyApi('/vibe/check'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ trackIds }),
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (cancelled || !data) return;
+        // With the vibe off only the host's rules are checked - just flag the clashes
+        setVibeChecks(data.vibeEnabled
+          ? data.results
+          : Object.fromEntries(Object.entries(data.results).filter(([, check]) => !check.matches)));
+      })
+      .catch(err => console.error('Error pre-checking vibe:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [results]);
+
   // Debounced search
   const performSearch = useCallback(async (searchQuery) => {
     if (!searchQuery.trim()) {
@@ -87,10 +150,13 @@ function SearchOverlay({ isOpen, onClose, onAddToQueue, onShowToast }) {
 
     setIsSearching(true);
     try {
-      const response = await fetch(`/api/search?q=${encodeURIComponent(searchQuery)}`);
+      const response = await fetch(partyApi(`/search?q=${encodeURIComponent(searchQuery)}`));
       if (response.ok) {
         const data = await response.json();
+        setVibeChecks({});
         setResults(data.tracks || []);
+        setExplicitFilter(!!data.explicitFilter);
+        setBlockedMessage(data.blockedMessage || '');
       } else {
         setResults([]);
       }
@@ -134,12 +200,32 @@ function SearchOverlay({ isOpen, onClose, onAddToQueue, onShowToast }) {
       const result = await onAddToQueue(uri);
       if (result.success) {
         setAddedUris(prev => new Set([...prev, uri]));
+      } else if (result.error === 'duplicate') {
+        // Someone queued it (or it played) since the search ran
+        const status = result.reason === 'recently_played' ? 'just_played' : 'queued';
+        setDuplicateUris(prev => new Map(prev).set(uri, status));
+      } else if (result.error === 'blocked') {
+        // The host blocked it since the search ran
+        setBlockedMessage(result.message);
+        setBlockedUris(prev => new Set([...prev, uri]));
+      } else if (result.error === 'explicit_blocked') {
+        // The host switched the filter on since the search ran
+        setExplicitFilter(true);
+        if (onShowToast) {
+          onShowToast(result.message, true);
+        }
       } else if (result.error === 'vibe_mismatch') {
         // Track was rejected due to vibe mismatch
         setRejectedUris(prev => new Map(prev).set(uri, result.reason));
         if (onShowToast) {
           onShowToast(`😅 ${result.reason || "Doesn't match the vibe"}`, true);
         }
+      } else if (result.error === 'admission_rejected') {
+        // One of the host's rules (length, year, artist cap...) said no
+        setRejectedUris(prev => new Map(prev).set(uri, result.reason));
+        if (onShowToast) {
+          onShowToast(result.reason, true);
+        }
       } else {
         // Other error
         if (onShowToast) {
@@ -214,6 +300,10 @@ function SearchOverlay({ isOpen, onClose, onAddToQueue, onShowToast }) {
             wasAdded={addedUris.has(track.uri)}
             wasRejected={rejectedUris.has(track.uri)}
             rejectedReason={rejectedUris.get(track.uri)}
+            queueStatus={duplicateUris.get(track.uri) || track.queueStatus}
+            explicitBlocked={explicitFilter && track.explicit}
+            blockedMessage={track.blocked || blockedUris.has(track.uri) ? blockedMessage : null}
+            vibeCheck={vibeChecks[track.id]}
           />
         ))}
       </div>
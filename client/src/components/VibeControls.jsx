@@ -0,0 +1,200 @@
+import { useState, useEffect, useRef } from 'react';
+import EnergyArc from './EnergyArc';
+import { FEATURE_RANGES, TOLERANCES, formatValue } from '../vibeFeatures';
+
+const SAVE_DELAY = 400; // Wait for the slider to settle before saving
+
+function RangeControl({ label, min, max, step, value, onChange }) {
+  return (
+    <div className="host-slider">
+      <div className="host-slider-label">
+        <span>{label}</span>
+        <span>{formatValue(value.min, step)} – {formatValue(value.max, step)}</span>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value.min}
+        onChange={(e) => onChange({ ...value, min: Math.min(Number(e.target.value), value.max) })}
+      />
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value.max}
+        onChange={(e) => onChange({ ...value, max: Math.max(Number(e.target.value), value.min) })}
+      />
+    </div>
+  );
+}
+
+function ToleranceControl({ label, min, max, step, value, onChange }) {
+  return (
+    <div className="host-slider">
+      <div className="host-slider-label">
+        <span>{label}</span>
+        <span>&plusmn; {formatValue(value, step)}</span>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+      />
+    </div>
+  );
+}
+
+// Preset picker plus the sliders and options for whichever preset is active
+function VibeControls({ vibe, onUpdateVibe, onSaveArc, onShowToast }) {
+  const [draft, setDraft] = useState(null);
+  const saveTimerRef = useRef(null);
+
+  // Keep the editable copy in sync with what the server has
+  useEffect(() => {
+    if (vibe?.settings) setDraft(vibe.settings);
+  }, [vibe?.settings]);
+
+  // Cleanup timeout on unmount
+  useEffect(() => {
+    return () => {
+      if (saveTimerRef.current) clearTimeout(saveTimerRef.current);
+    };
+  }, []);
+
+  const currentPreset = vibe?.currentPreset;
+
+  const saveVibe = async (preset, customSettings) => {
+    const result = await onUpdateVibe(preset, customSettings);
+    if (!result.success) {
+      onShowToast(result.error, true);
+    }
+    return result;
+  };
+
+  const scheduleSave = (preset, customSettings) => {
+    if (saveTimerRef.current) clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(() => saveVibe(preset, customSettings), SAVE_DELAY);
+  };
+
+  const handlePresetChange = async (preset) => {
+    const result = await saveVibe(preset);
+    if (result.success) {
+      onShowToast(`Vibe set to ${vibe.availablePresets.find(p => p.id === preset)?.name || preset}`);
+    }
+  };
+
+  const handleRangeChange = (key, range) => {
+    const next = { ...draft, [key]: range };
+    setDraft(next);
+    scheduleSave('custom', {
+      energy: next.energy,
+      valence: next.valence,
+      tempo: next.tempo,
+      danceability: next.danceability,
+    });
+  };
+
+  // Now-playing and arc presets save tolerances and mixing options together
+  const mixingSettings = (settings) => ({
+    tolerance: settings.tolerance,
+    harmonic: settings.harmonic,
+    halfDoubleTime: settings.halfDoubleTime,
+  });
+
+  const handleToleranceChange = (key, value) => {
+    const next = { ...draft, tolerance: { ...draft.tolerance, [key]: value } };
+    setDraft(next);
+    scheduleSave(currentPreset, mixingSettings(next));
+  };
+
+  const handleMixingChange = (change) => {
+    const next = { ...draft, ...change };
+    setDraft(next);
+    saveVibe(currentPreset, mixingSettings(next));
+  };
+
+  return (
+    <>
+      {/* Preset picker */}
+      <section className="host-card">
+        <h3 className="section-title">Vibe</h3>
+        <div className="host-presets">
+          {vibe?.availablePresets.map(preset => (
+            <button
+              key={preset.id}
+              className={`host-preset ${preset.id === currentPreset ? 'active' : ''}`}
+              onClick={() => handlePresetChange(preset.id)}
+            >
+              <span className="host-preset-name">{preset.name}</span>
+              <small>{preset.description}</small>
+            </button>
+          ))}
+        </div>
+      </section>
+
+      {/* Thresholds for the selected preset */}
+      {draft && currentPreset === 'custom' && (
+        <section className="host-card">
+          <h3 className="section-title">Custom Ranges</h3>
+          {FEATURE_RANGES.map(control => (
+            <RangeControl
+              key={control.key}
+              {...control}
+              value={draft[control.key]}
+              onChange={(range) => handleRangeChange(control.key, range)}
+            />
+          ))}
+        </section>
+      )}
+
+      {draft?.arc && (
+        <section className="host-card">
+          <h3 className="section-title">Energy Arc</h3>
+          <EnergyArc arc={vibe?.energyArc} onSave={onSaveArc} />
+        </section>
+      )}
+
+      {draft?.tolerance && (
+        <section className="host-card">
+          <h3 className="section-title">Match Tolerance</h3>
+          {TOLERANCES.filter(control => draft.tolerance[control.key] !== undefined).map(control => (
+            <ToleranceControl
+              key={control.key}
+              {...control}
+              value={draft.tolerance[control.key]}
+              onChange={(value) => handleToleranceChange(control.key, value)}
+            />
+          ))}
+          {currentPreset === 'match' && (
+            <label className="host-toggle">
+              <input
+                type="checkbox"
+                checked={!!draft.harmonic}
+                onChange={(e) => handleMixingChange({ harmonic: e.target.checked })}
+              />
+              <span>Keys must mix (Camelot wheel)</span>
+            </label>
+          )}
+          {draft.dynamic && (
+            <label className="host-toggle">
+              <input
+                type="checkbox"
+                checked={!!draft.halfDoubleTime}
+                onChange={(e) => handleMixingChange({ halfDoubleTime: e.target.checked })}
+              />
+              <span>Allow half/double-time tempos</span>
+            </label>
+          )}
+        </section>
+      )}
+    </>
+  );
+}
+
+export default VibeControls;
@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react';
+import { partyApi } from '../party';
+import { FEATURE_RANGES, formatValue } from '../vibeFeatures';
+
+// How the now-playing track scores against the current vibe
+function VibePreview({ track, vibe }) {
+  const [check, setCheck] = useState(null);
+
+  useEffect(() => {
+    if (!track?.id) {
+      setCheck(null);
+      return;
+    }
+
+    let cancelled = false;
+    fetch(partyApi(`/vibe/check/${track.id}`))
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!cancelled) setCheck(data);
+      })
+      .catch(err => console.error('Error checking vibe:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [track?.id, vibe]);
+
+  if (!track) {
+    return <div className="empty-state"><p>Nothing playing</p></div>;
+  }
+
+  const verdict = !check
+    ? { className: '', text: 'Checking...' }
+    : !check.matches
+      ? { className: 'clashes', text: check.reason || "Doesn't fit the vibe" }
+      : !check.vibeEnabled
+        ? { className: '', text: 'Vibe filter is off' }
+        : { className: 'fits', text: check.note || 'Fits the vibe' };
+
+  return (
+    <div className="host-preview">
+      <div className="host-preview-track">
+        <div className="queue-track">{track.name}</div>
+        <div className="queue-artist">{track.artists?.map(a => a.name).join(', ')}</div>
+      </div>
+      <div className={`host-verdict ${verdict.className}`}>{verdict.text}</div>
+
+      {check?.audioFeatures && (
+        <div className="host-features">
+          {FEATURE_RANGES.map(({ key, label, step }) => {
+            const range = check.thresholds?.[key];
+            const value = check.audioFeatures[key];
+            const outside = range && (value < range.min || value > range.max);
+            return (
+              <div key={key} className={`host-feature ${outside ? 'outside' : ''}`}>
+                <span>{label}</span>
+                <span>
+                  {formatValue(value, step)}
+                  {range && <small> ({formatValue(range.min, step)} – {formatValue(range.max, step)})</small>}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VibePreview;
@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react';
+
+// Timeline of presets across the night, in this browser's time zone
+function VibeSchedule({ vibe, onSave }) {
+  const [rows, setRows] = useState([]);
+  const schedule = vibe?.schedule;
+  // Custom ranges are edited live, so the timeline sticks to the named presets
+  const presets = vibe?.availablePresets.filter(preset => preset.id !== 'custom') || [];
+
+  useEffect(() => {
+    setRows(schedule?.entries.map(({ at, preset, easeMinutes }) => ({ at, preset, easeMinutes })) || []);
+  }, [schedule?.entries]);
+
+  const updateRow = (index, change) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, ...change } : row)));
+  };
+
+  const addRow = () => {
+    setRows([...rows, { at: '22:00', preset: presets[0]?.id || 'match', easeMinutes: 0 }]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(rows.map(row => ({ ...row, easeMinutes: Number(row.easeMinutes) || 0 })));
+  };
+
+  const next = schedule?.upcoming[0];
+
+  return (
+    <form className="host-playlist" onSubmit={handleSubmit}>
+      <p className="host-note">
+        Switch presets automatically. Easing slides the ranges over a few minutes instead of all at once.
+      </p>
+      {rows.length > 0 && (
+        <ul className="host-blocklist">
+          {rows.map((row, index) => (
+            <li key={index} className="host-schedule-row">
+              <input
+                type="time"
+                className="search-input"
+                value={row.at}
+                onChange={(e) => updateRow(index, { at: e.target.value })}
+              />
+              <select
+                className="search-input"
+                value={row.preset}
+                onChange={(e) => updateRow(index, { preset: e.target.value })}
+              >
+                {presets.map(preset => (
+                  <option key={preset.id} value={preset.id}>{preset.name}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                max="120"
+                className="search-input"
+                title="Ease in over (minutes)"
+                value={row.easeMinutes}
+                onChange={(e) => updateRow(index, { easeMinutes: e.target.value })}
+              />
+              <button type="button" className="host-btn" onClick={() => setRows(rows.filter((_, i) => i !== index))}>
+                &times;
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="host-exports">
+        <button type="button" className="host-btn" onClick={addRow}>Add time</button>
+        <button type="submit" className="host-btn primary" disabled={rows.length === 0 && !schedule}>
+          {rows.length === 0 ? 'Stop schedule' : 'Save schedule'}
+        </button>
+      </div>
+      {next && (
+        <p className="host-note">
+          Next: {next.name} at {new Date(next.at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+          {schedule.transition && ` (easing into ${vibe.settings.name} now)`}
+        </p>
+      )}
+    </form>
+  );
+}
+
+export default VibeSchedule;
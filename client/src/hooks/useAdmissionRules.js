@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from 'react';
+import { partyApi } from '../party';
+
+// Host-configured admission rules (song length, popularity, release years,
+// artist caps) - host only, mount it inside the host view
+export function useAdmissionRules() {
+  const [rules, setRules] = useState([]);
+  const [types, setTypes] = useState([]);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const response = await fetch(partyApi('/admission-rules'));
+      if (!response.ok) {
+        throw new Error(`Failed to fetch admission rules: ${response.status}`);
+      }
+      const data = await response.json();
+      setRules(data.rules || []);
+      setTypes(data.types || []);
+    } catch (err) {
+      console.error('Error fetching admission rules:', err);
+    }
+  }, []);
+
+  // Initial fetch
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const send = useCallback(async (url, method, body) => {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { success: false, error: data.message || data.error || 'Failed to update rules' };
+      }
+
+      await fetchRules();
+      return { success: true, ...data };
+    } catch (err) {
+      console.error('Error updating admission rules:', err);
+      return { success: false, error: err.message };
+    }
+  }, [fetchRules]);
+
+  const addRule = useCallback((type, options) => (
+    send(partyApi('/admission-rules'), 'POST', { type, options })
+  ), [send]);
+
+  const updateRule = useCallback((ruleId, changes) => (
+    send(partyApi(`/admission-rules/${ruleId}`), 'PATCH', changes)
+  ), [send]);
+
+  const removeRule = useCallback((ruleId) => (
+    send(partyApi(`/admission-rules/${ruleId}`), 'DELETE')
+  ), [send]);
+
+  return {
+    rules,
+    types,
+    addRule,
+    updateRule,
+    removeRule,
+  };
+}
+
+export default useAdmissionRules;
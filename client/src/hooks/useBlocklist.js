@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from 'react';
+import { partyApi } from '../party';
+
+// Host-managed blocklist of tracks, artists and title keywords
+// (host only - mount it inside the host view)
+export function useBlocklist() {
+  const [entries, setEntries] = useState([]);
+  const [message, setMessage] = useState('');
+
+  const fetchBlocklist = useCallback(async () => {
+    try {
+      const response = await fetch(partyApi('/blocklist'));
+      if (!response.ok) {
+        throw new Error(`Failed to fetch blocklist: ${response.status}`);
+      }
+      const data = await response.json();
+      setEntries(data.entries || []);
+      setMessage(data.message || '');
+    } catch (err) {
+      console.error('Error fetching blocklist:', err);
+    }
+  }, []);
+
+  // Initial fetch
+  useEffect(() => {
+    fetchBlocklist();
+  }, [fetchBlocklist]);
+
+  const send = useCallback(async (url, method, body) => {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { success: false, error: data.message || data.error || 'Failed to update blocklist' };
+      }
+
+      await fetchBlocklist();
+      return { success: true, ...data };
+    } catch (err) {
+      console.error('Error updating blocklist:', err);
+      return { success: false, error: err.message };
+    }
+  }, [fetchBlocklist]);
+
+  const block = useCallback((type, value, label) => (
+    send(partyApi('/blocklist'), 'POST', { type, value, label })
+  ), [send]);
+
+  const unblock = useCallback((entryId) => (
+    send(partyApi(`/blocklist/${entryId}`), 'DELETE')
+  ), [send]);
+
+  const updateMessage = useCallback((text) => (
+    send(partyApi('/blocklist/message'), 'PUT', { message: text })
+  ), [send]);
+
+  return {
+    entries,
+    message,
+    block,
+    unblock,
+    updateMessage,
+  };
+}
+
+export default useBlocklist;
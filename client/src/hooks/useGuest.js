@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react';
+import { partyApi } from '../party';
+
+// This device's guest identity: the nickname shown as "added by" on its songs
+export function useGuest() {
+  const [nickname, setNicknameState] = useState(null);
+  const [canSetNickname, setCanSetNickname] = useState(false);
+
+  const fetchGuest = useCallback(async () => {
+    try {
+      const response = await fetch(partyApi('/me'));
+      if (!response.ok) {
+        throw new Error(`Failed to fetch guest: ${response.status}`);
+      }
+      const data = await response.json();
+      setNicknameState(data.nickname || null);
+      setCanSetNickname(!!data.canSetNickname);
+    } catch (err) {
+      console.error('Error fetching guest:', err);
+    }
+  }, []);
+
+  // Initial fetch
+  useEffect(() => {
+    fetchGuest();
+  }, [fetchGuest]);
+
+  // An empty name clears it
+  const setNickname = useCallback(async (name) => {
+    try {
+      const response = await fetch(partyApi('/me/nickname'), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ nickname: name }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        // The first visit's cookie may only just have been set - recheck
+        if (data.error === 'cookies_required') {
+          fetchGuest();
+        }
+        return { success: false, error: data.message || data.error || 'Failed to save name' };
+      }
+
+      setNicknameState(data.nickname || null);
+      return { success: true, ...data };
+    } catch (err) {
+      console.error('Error saving nickname:', err);
+      return { success: false, error: err.message };
+    }
+  }, [fetchGuest]);
+
+  return {
+    nickname,
+    canSetNickname,
+    setNickname,
+  };
+}
+
+export default useGuest;
@@ -0,0 +1,258 @@
+import { useState, useEffect, useCallback } from 'react';
+import { partyApi } from '../party';
+
+// Host session, Spotify connection and vibe settings for the host panel
+export function useHost() {
+  const [auth, setAuth] = useState(null);
+  const [vibe, setVibe] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await fetch(partyApi('/auth/status'));
+      if (!response.ok) {
+        throw new Error(`Failed to fetch auth status: ${response.status}`);
+      }
+      setAuth(await response.json());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching auth status:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  const fetchVibe = useCallback(async () => {
+    try {
+      const response = await fetch(partyApi('/vibe'));
+      if (!response.ok) {
+        throw new Error(`Failed to fetch vibe: ${response.status}`);
+      }
+      setVibe(await response.json());
+    } catch (err) {
+      console.error('Error fetching vibe:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  // Initial fetch
+  useEffect(() => {
+    Promise.all([fetchStatus(), fetchVibe()]).finally(() => setIsLoading(false));
+  }, [fetchStatus, fetchVibe]);
+
+  const loginWithPin = useCallback(async (pin) => {
+    try {
+      const response = await fetch(partyApi('/auth/pin'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ pin }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { success: false, error: data.message || data.error || 'Login failed' };
+      }
+
+      await fetchStatus();
+      return { success: true };
+    } catch (err) {
+      console.error('Error logging in with PIN:', err);
+      return { success: false, error: err.message };
+    }
+  }, [fetchStatus]);
+
+  const disconnect = useCallback(async () => {
+    try {
+      const response = await fetch(partyApi('/auth/logout'), { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        return { success: false, error: data.message || data.error || 'Failed to disconnect' };
+      }
+
+      await fetchStatus();
+      return { success: true };
+    } catch (err) {
+      console.error('Error disconnecting:', err);
+      return { success: false, error: err.message };
+    }
+  }, [fetchStatus]);
+
+  const updateVibe = useCallback(async (preset, customSettings) => {
+    try {
+      const response = await fetch(partyApi('/vibe'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ preset, customSettings }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { success: false, error: data.message || data.error || 'Failed to update vibe' };
+      }
+
+      setVibe(prev => ({
+        ...prev,
+        currentPreset: data.currentPreset,
+        settings: data.settings,
+      }));
+      return { success: true };
+    } catch (err) {
+      console.error('Error updating vibe:', err);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  const updateGenres = useCallback(async (genreRules) => {
+    try {
+      const response = await fetch(partyApi('/vibe/genres'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(genreRules),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { success: false, error: data.message || data.error || 'Failed to update genres' };
+      }
+
+      setVibe(prev => ({ ...prev, genreRules: data.genreRules }));
+      return { success: true };
+    } catch (err) {
+      console.error('Error updating genres:', err);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  const updateExplicitFilter = useCallback(async (explicitFilter) => {
+    try {
+      const response = await fetch(partyApi('/vibe/explicit'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(explicitFilter),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { success: false, error: data.message || data.error || 'Failed to update explicit filter' };
+      }
+
+      setVibe(prev => ({ ...prev, explicitFilter: data.explicitFilter }));
+      return { success: true, explicitFilter: data.explicitFilter };
+    } catch (err) {
+      console.error('Error updating explicit filter:', err);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  // Replace the vibe timeline (entries: [{ at: 'HH:MM', preset, easeMinutes }]),
+  // or stop following it when entries is empty. Times are in this browser's zone.
+  const updateSchedule = useCallback(async (entries) => {
+    const clearing = !entries || entries.length === 0;
+    try {
+      const response = await fetch(partyApi('/vibe/schedule'), {
+        method: clearing ? 'DELETE' : 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: clearing ? undefined : JSON.stringify({
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          entries,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { success: false, error: data.message || data.error || 'Failed to update schedule' };
+      }
+
+      setVibe(prev => ({
+        ...prev,
+        currentPreset: data.currentPreset,
+        settings: data.settings,
+        schedule: data.schedule || null,
+      }));
+      return { success: true };
+    } catch (err) {
+      console.error('Error updating schedule:', err);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  // Set the energy curve for the arc preset (points: [{ at: 'HH:MM', energy, tempo }]),
+  // or clear it when points is empty. Times are in this browser's zone.
+  const updateArc = useCallback(async (points) => {
+    const clearing = !points || points.length === 0;
+    try {
+      const response = await fetch(partyApi('/vibe/arc'), {
+        method: clearing ? 'DELETE' : 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: clearing ? undefined : JSON.stringify({
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          points,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { success: false, error: data.message || data.error || 'Failed to update energy arc' };
+      }
+
+      setVibe(prev => ({ ...prev, energyArc: data.energyArc }));
+      return { success: true };
+    } catch (err) {
+      console.error('Error updating energy arc:', err);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  // Save everything that played to a new playlist, or append to playlistId
+  const savePlaylist = useCallback(async ({ name, playlistId } = {}) => {
+    try {
+      const response = await fetch(partyApi('/history/playlist'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name, playlistId }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { success: false, error: data.message || data.error || 'Failed to save playlist' };
+      }
+
+      return { success: true, ...data };
+    } catch (err) {
+      console.error('Error saving playlist:', err);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  return {
+    auth,
+    vibe,
+    isLoading,
+    error,
+    refetch: fetchStatus,
+    loginWithPin,
+    disconnect,
+    updateVibe,
+    updateGenres,
+    updateExplicitFilter,
+    updateSchedule,
+    updateArc,
+    savePlaylist,
+  };
+}
+
+export default useHost;
@@ -1,15 +1,40 @@
 import { useState, useEffect, useCallback } from 'react';
+import { useServerEvent } from './useServerEvents';
+import { partyApi } from '../party';
 
-const REFRESH_INTERVAL = 5000; // 5 seconds
+const REFRESH_INTERVAL = 5000; // 5 seconds (fallback when the event stream is down)
+const PROGRESS_TICK = 1000; // Advance the progress bar locally between events
 
 export function useNowPlaying() {
   const [track, setTrack] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  // Handle response format from backend: { playing: boolean, track: { ... } }
+  const applyNowPlaying = useCallback((data) => {
+    if (data.track) {
+      setTrack({
+        ...data.track,
+        is_playing: data.playing
+      });
+    } else if (data.item) {
+      // Fallback for direct Spotify API format
+      setTrack({
+        ...data.item,
+        progress_ms: data.progress_ms,
+        is_playing: data.is_playing
+      });
+    } else {
+      setTrack(null);
+    }
+
+    setError(null);
+    setIsLoading(false);
+  }, []);
+
   const fetchNowPlaying = useCallback(async () => {
     try {
-      const response = await fetch('/api/now-playing');
+      const response = await fetch(partyApi('/now-playing'));
 
       if (response.status === 204) {
         // No content - nothing playing
@@ -22,44 +47,42 @@ export function useNowPlaying() {
         throw new Error(`Failed to fetch now playing: ${response.status}`);
       }
 
-      const data = await response.json();
-
-      // Handle response format from backend: { playing: boolean, track: { ... } }
-      if (data.track) {
-        setTrack({
-          ...data.track,
-          is_playing: data.playing
-        });
-      } else if (data.item) {
-        // Fallback for direct Spotify API format
-        setTrack({
-          ...data.item,
-          progress_ms: data.progress_ms,
-          is_playing: data.is_playing
-        });
-      } else {
-        setTrack(null);
-      }
-
-      setError(null);
+      applyNowPlaying(await response.json());
     } catch (err) {
       console.error('Error fetching now playing:', err);
       setError(err.message);
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [applyNowPlaying]);
+
+  // Live updates from the server
+  const isLive = useServerEvent('now-playing', applyNowPlaying);
 
   // Initial fetch
   useEffect(() => {
     fetchNowPlaying();
   }, [fetchNowPlaying]);
 
-  // Auto-refresh
+  // Auto-refresh, only while the event stream is unavailable
   useEffect(() => {
+    if (isLive) return;
     const interval = setInterval(fetchNowPlaying, REFRESH_INTERVAL);
     return () => clearInterval(interval);
-  }, [fetchNowPlaying]);
+  }, [fetchNowPlaying, isLive]);
+
+  // The server only pushes on track changes, so tick progress locally
+  const isPlaying = !!track?.is_playing;
+  useEffect(() => {
+    if (!isPlaying) return;
+    const interval = setInterval(() => {
+      setTrack(prev => prev && {
+        ...prev,
+        progress_ms: Math.min((prev.progress_ms || 0) + PROGRESS_TICK, prev.duration_ms || Infinity),
+      });
+    }, PROGRESS_TICK);
+    return () => clearInterval(interval);
+  }, [isPlaying]);
 
   return { track, isLoading, error, refetch: fetchNowPlaying };
 }
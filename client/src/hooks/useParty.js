@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+import { partyCode } from '../party';
+
+// Whether the party in the URL exists - codes can be mistyped or expire
+export function useParty() {
+  const [party, setParty] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/parties/${partyCode}`)
+      .then(response => {
+        if (response.status === 404) {
+          if (!cancelled) setNotFound(true);
+          return null;
+        }
+        return response.ok ? response.json() : null;
+      })
+      .then(data => {
+        if (!cancelled && data) setParty(data);
+      })
+      .catch(err => console.error('Error fetching party:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { party, notFound };
+}
+
+export default useParty;
@@ -1,57 +1,72 @@
 import { useState, useEffect, useCallback } from 'react';
+import { useServerEvent } from './useServerEvents';
+import { partyApi } from '../party';
 
-const REFRESH_INTERVAL = 10000; // 10 seconds
+const REFRESH_INTERVAL = 10000; // 10 seconds (fallback when the event stream is down)
+
+// Queue errors returned to the caller instead of thrown
+const HANDLED_REJECTIONS = ['vibe_mismatch', 'duplicate', 'explicit_blocked', 'blocked', 'admission_rejected'];
 
 export function useQueue() {
   const [queue, setQueue] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  // requestId -> 1 | -1; pushed queue updates are shared by everyone, so
+  // this guest's own votes are tracked here
+  const [myVotes, setMyVotes] = useState(new Map());
+
+  // Handle various response formats
+  const applyQueue = useCallback((data) => {
+    const tracks = Array.isArray(data) ? data : (data.queue || data.tracks || []);
+    setQueue(tracks);
+
+    // Only GET /api/queue includes myVote
+    if (tracks.some(track => track.myVote !== undefined)) {
+      setMyVotes(new Map(
+        tracks.filter(track => track.myVote).map(track => [track.requestId, track.myVote])
+      ));
+    }
+
+    setError(null);
+    setIsLoading(false);
+  }, []);
 
   const fetchQueue = useCallback(async () => {
     try {
-      const response = await fetch('/api/queue');
+      const response = await fetch(partyApi('/queue'));
 
       if (!response.ok) {
         throw new Error(`Failed to fetch queue: ${response.status}`);
       }
 
-      const data = await response.json();
-
-      // Handle various response formats
-      if (Array.isArray(data)) {
-        setQueue(data);
-      } else if (data.queue) {
-        setQueue(data.queue);
-      } else if (data.tracks) {
-        setQueue(data.tracks);
-      } else {
-        setQueue([]);
-      }
-
-      setError(null);
+      applyQueue(await response.json());
     } catch (err) {
       console.error('Error fetching queue:', err);
       setError(err.message);
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [applyQueue]);
+
+  // Live updates from the server
+  const isLive = useServerEvent('queue', applyQueue);
 
   // Initial fetch
   useEffect(() => {
     fetchQueue();
   }, [fetchQueue]);
 
-  // Auto-refresh
+  // Auto-refresh, only while the event stream is unavailable
   useEffect(() => {
+    if (isLive) return;
     const interval = setInterval(fetchQueue, REFRESH_INTERVAL);
     return () => clearInterval(interval);
-  }, [fetchQueue]);
+  }, [fetchQueue, isLive]);
 
   // Add to queue function
   const addToQueue = useCallback(async (uri) => {
     try {
-      const response = await fetch('/api/queue', {
+      const response = await fetch(partyApi('/queue'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -62,11 +77,11 @@ export function useQueue() {
       const data = await response.json().catch(() => ({}));
 
       if (!response.ok) {
-        // Handle vibe mismatch specially
-        if (data.error === 'vibe_mismatch') {
+        // Rejections the search UI shows on the track itself
+        if (HANDLED_REJECTIONS.includes(data.error)) {
           return {
             success: false,
-            error: 'vibe_mismatch',
+            error: data.error,
             message: data.message,
             reason: data.reason,
           };
@@ -83,7 +98,39 @@ export function useQueue() {
     }
   }, [fetchQueue]);
 
-  return { queue, isLoading, error, refetch: fetchQueue, addToQueue };
+  // Upvote (1) or downvote (-1) a pending request; voting the same way again withdraws it
+  const vote = useCallback(async (requestId, direction) => {
+    try {
+      const response = await fetch(partyApi(`/queue/${requestId}/${direction > 0 ? 'upvote' : 'downvote'}`), {
+        method: 'POST',
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `Failed to vote: ${response.status}`);
+      }
+
+      setMyVotes(prev => {
+        const next = new Map(prev);
+        if (data.myVote) {
+          next.set(requestId, data.myVote);
+        } else {
+          next.delete(requestId);
+        }
+        return next;
+      });
+      setQueue(prev => prev.map(track => (
+        track.requestId === requestId ? { ...track, score: data.score } : track
+      )));
+      return { success: true };
+    } catch (err) {
+      console.error('Error voting:', err);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  return { queue, myVotes, isLoading, error, refetch: fetchQueue, addToQueue, vote };
 }
 
 export default useQueue;
@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback } from 'react';
+import { partyApi } from '../party';
+
+// Host-managed rate limit policy and per-guest overrides
+// (host only - mount it inside the host view)
+export function useRateLimits() {
+  const [policy, setPolicy] = useState(null);
+  const [overrides, setOverrides] = useState([]);
+  const [recentGuests, setRecentGuests] = useState([]);
+
+  const fetchPolicy = useCallback(async () => {
+    try {
+      const response = await fetch(partyApi('/rate-limit/policy'));
+      if (!response.ok) {
+        throw new Error(`Failed to fetch rate limit policy: ${response.status}`);
+      }
+      const data = await response.json();
+      setPolicy(data.policy);
+      setOverrides(data.overrides || []);
+      setRecentGuests(data.recentGuests || []);
+    } catch (err) {
+      console.error('Error fetching rate limit policy:', err);
+    }
+  }, []);
+
+  // Initial fetch
+  useEffect(() => {
+    fetchPolicy();
+  }, [fetchPolicy]);
+
+  const send = useCallback(async (url, method, body) => {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { success: false, error: data.message || data.error || 'Failed to update limits' };
+      }
+
+      await fetchPolicy();
+      return { success: true, ...data };
+    } catch (err) {
+      console.error('Error updating rate limits:', err);
+      return { success: false, error: err.message };
+    }
+  }, [fetchPolicy]);
+
+  const updatePolicy = useCallback((changes) => (
+    send(partyApi('/rate-limit/policy'), 'PUT', changes)
+  ), [send]);
+
+  const setOverride = useCallback((guestId, override) => (
+    send(partyApi(`/rate-limit/overrides/${encodeURIComponent(guestId)}`), 'PUT', override)
+  ), [send]);
+
+  const removeOverride = useCallback((guestId) => (
+    send(partyApi(`/rate-limit/overrides/${encodeURIComponent(guestId)}`), 'DELETE')
+  ), [send]);
+
+  return {
+    policy,
+    overrides,
+    recentGuests,
+    refetch: fetchPolicy,
+    updatePolicy,
+    setOverride,
+    removeOverride,
+  };
+}
+
+export default useRateLimits;
@@ -0,0 +1,86 @@
+import { useState, useEffect, useRef } from 'react';
+import { partyApi } from '../party';
+
+// One EventSource shared by every hook that subscribes, so each guest holds a
+// single connection to /api/events no matter how many components listen.
+let eventSource = null;
+const listeners = new Map(); // event name -> Set<handler>
+const statusListeners = new Set();
+let isConnected = false;
+
+function setConnected(connected) {
+  isConnected = connected;
+  statusListeners.forEach(listener => listener(connected));
+}
+
+function ensureConnection() {
+  if (eventSource || typeof EventSource === 'undefined') return;
+
+  eventSource = new EventSource(partyApi('/events'));
+  eventSource.onopen = () => setConnected(true);
+  // EventSource reconnects on its own; callers fall back to polling meanwhile
+  eventSource.onerror = () => setConnected(false);
+
+  for (const eventName of listeners.keys()) {
+    attachEvent(eventName);
+  }
+}
+
+function attachEvent(eventName) {
+  eventSource.addEventListener(eventName, (event) => {
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    listeners.get(eventName)?.forEach(handler => handler(data));
+  });
+}
+
+function subscribe(eventName, handler) {
+  if (!listeners.has(eventName)) {
+    listeners.set(eventName, new Set());
+    if (eventSource) attachEvent(eventName);
+  }
+  listeners.get(eventName).add(handler);
+  ensureConnection();
+
+  return () => {
+    listeners.get(eventName).delete(handler);
+
+    const hasListeners = [...listeners.values()].some(set => set.size > 0);
+    if (!hasListeners && eventSource) {
+      eventSource.close();
+      eventSource = null;
+      listeners.clear();
+      setConnected(false);
+    }
+  };
+}
+
+// Subscribe to a server event. Returns whether the stream is currently
+// connected, so callers can poll as a fallback while it isn't.
+export function useServerEvent(eventName, handler) {
+  const [connected, setConnectedState] = useState(isConnected);
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    statusListeners.add(setConnectedState);
+    const unsubscribe = subscribe(eventName, data => handlerRef.current(data));
+    setConnectedState(isConnected);
+
+    return () => {
+      statusListeners.delete(setConnectedState);
+      unsubscribe();
+    };
+  }, [eventName]);
+
+  return connected;
+}
+
+export default useServerEvent;
@@ -1,9 +1,19 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import HostPanel from './components/HostPanel.jsx'
+import Landing from './components/Landing.jsx'
+import { partyCode, isHostView } from './party'
+
+// /p/:code is a party's guest view and /p/:code/host its host panel;
+// anything else is the start page
+function Root() {
+  if (!partyCode) return <Landing />
+  return isHostView ? <HostPanel /> : <App />
+}
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <Root />
   </StrictMode>,
 )
@@ -0,0 +1,25 @@
+// The party this page belongs to, from the URL: /p/:code is the guest view and
+// /p/:code/host the host panel. Each party's API lives under /api/p/:code.
+const match = window.location.pathname.match(/^\/p\/([A-Za-z0-9]+)(\/host)?\/*$/);
+
+export const partyCode = match ? match[1].toUpperCase() : null;
+export const isHostView = !!match?.[2];
+
+// URL of one of the party's API routes, e.g. partyApi('/queue')
+export function partyApi(path) {
+  return `/api/p/${partyCode}${path}`;
+}
+
+// Guest and host pages for a party
+export function partyPath(code = partyCode) {
+  return `/p/${code}`;
+}
+
+export function hostPath(code = partyCode) {
+  return `/p/${code}/host`;
+}
+
+// Spotify login for the party's host, coming back to the host panel
+export function loginUrl() {
+  return `${partyApi('/auth/login')}?returnTo=${encodeURIComponent(hostPath())}`;
+}
@@ -0,0 +1,19 @@
+// Audio features the host can tune, shared by the vibe controls and the preview
+export const FEATURE_RANGES = [
+  { key: 'energy', label: 'Energy', min: 0, max: 1, step: 0.05 },
+  { key: 'valence', label: 'Mood', min: 0, max: 1, step: 0.05 },
+  { key: 'danceability', label: 'Danceability', min: 0, max: 1, step: 0.05 },
+  { key: 'tempo', label: 'Tempo (BPM)', min: 0, max: 220, step: 1 },
+];
+
+export const TOLERANCES = [
+  { key: 'energy', label: 'Energy', min: 0, max: 1, step: 0.05 },
+  { key: 'valence', label: 'Mood', min: 0, max: 1, step: 0.05 },
+  { key: 'danceability', label: 'Danceability', min: 0, max: 1, step: 0.05 },
+  { key: 'tempo', label: 'Tempo (BPM)', min: 0, max: 80, step: 1 },
+];
+
+export function formatValue(value, step) {
+  if (value === undefined || value === null) return '–';
+  return step < 1 ? Number(value).toFixed(2) : Math.round(value);
+}
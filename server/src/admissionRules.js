@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+
+// =============================================================================
+// ADMISSION RULES
+// =============================================================================
+//
+// Host-configured rules every queued track has to pass, run in order by
+// POST /api/queue. Each rule type has:
+//   label              - what the host panel calls it
+//   validate(options)  - returns the cleaned options, throws for bad ones
+//   check(track, options, context) - null if the track passes, otherwise
+//                        { code, reason }: a typed rejection code for the
+//                        client and a sentence for the guest
+// Tracks missing the data a rule needs (no popularity, no release date) pass.
+// To add a rule type, add an entry to RULE_TYPES.
+
+function invalid(message) {
+  return Object.assign(new Error(message), { code: 'invalid' });
+}
+
+// An optional number option: undefined when blank, else checked against [min, max]
+function optionalNumber(options, key, min, max) {
+  const value = options?.[key];
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw invalid(`${key} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function formatMinutes(minutes) {
+  const totalSeconds = Math.round(minutes * 60);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+export const RULE_TYPES = {
+  duration: {
+    label: 'Song length',
+    validate(options) {
+      const minMinutes = optionalNumber(options, 'minMinutes', 0, 60);
+      const maxMinutes = optionalNumber(options, 'maxMinutes', 0, 60);
+      if (minMinutes === undefined && maxMinutes === undefined) {
+        throw invalid('Set minMinutes, maxMinutes or both');
+      }
+      if (minMinutes !== undefined && maxMinutes !== undefined && minMinutes > maxMinutes) {
+        throw invalid('minMinutes must not be more than maxMinutes');
+      }
+      return { minMinutes, maxMinutes };
+    },
+    check(track, { minMinutes, maxMinutes }) {
+      if (!track.duration_ms) {
+        return null;
+      }
+      const minutes = track.duration_ms / 60000;
+      if (maxMinutes !== undefined && minutes > maxMinutes) {
+        return { code: 'too_long', reason: `Songs over ${formatMinutes(maxMinutes)} are off tonight` };
+      }
+      if (minMinutes !== undefined && minutes < minMinutes) {
+        return { code: 'too_short', reason: `Songs under ${formatMinutes(minMinutes)} are off tonight` };
+      }
+      return null;
+    },
+  },
+
+  popularity: {
+    label: 'Minimum popularity',
+    validate(options) {
+      const min = optionalNumber(options, 'min', 0, 100);
+      if (min === undefined) {
+        throw invalid('Set min (0-100)');
+      }
+      return { min };
+    },
+    check(track, { min }) {
+      if (typeof track.popularity !== 'number' || track.popularity >= min) {
+        return null;
+      }
+      return { code: 'not_popular_enough', reason: 'Too deep a cut for tonight - try something people know' };
+    },
+  },
+
+  release_year: {
+    label: 'Release years',
+    validate(options) {
+      const currentYear = new Date().getFullYear();
+      const from = optionalNumber(options, 'from', 1900, currentYear + 1);
+      const to = optionalNumber(options, 'to', 1900, currentYear + 1);
+      if (from === undefined && to === undefined) {
+        throw invalid('Set from, to or both');
+      }
+      if (from !== undefined && to !== undefined && from > to) {
+        throw invalid('from must not be after to');
+      }
+      return { from, to };
+    },
+    check(track, { from, to }) {
+      const year = parseInt(track.album?.release_date, 10);
+      if (!year) {
+        return null;
+      }
+      const range = from === undefined ? `up to ${to}`
+        : to === undefined ? `${from} onwards`
+          : `${from}-${to}`;
+      if (from !== undefined && year < from) {
+        return { code: 'too_old', reason: `Tonight is ${range} only (this one is from ${year})` };
+      }
+      if (to !== undefined && year > to) {
+        return { code: 'too_new', reason: `Tonight is ${range} only (this one is from ${year})` };
+      }
+      return null;
+    },
+  },
+
+  artist_per_hour: {
+    label: 'Songs per artist per hour',
+    validate(options) {
+      const max = optionalNumber(options, 'max', 1, 100);
+      if (max === undefined) {
+        throw invalid('Set max');
+      }
+      return { max };
+    },
+    // context.countArtistRequests(artist, sinceMs) - accepted requests for an artist since then
+    check(track, { max }, context) {
+      const since = Date.now() - 60 * 60 * 1000;
+      const artist = track.artists?.find(a => context.countArtistRequests(a, since) >= max);
+      if (!artist) {
+        return null;
+      }
+      return {
+        code: 'artist_cap',
+        reason: `${artist.name} has had ${max === 1 ? 'a song' : `${max} songs`} this hour - give someone else a turn`,
+      };
+    },
+  },
+};
+
+export function createAdmissionRules() {
+  // Array<{ id, type, options, enabled }>, checked in order
+  let rules = [];
+
+  function cleanOptions(type, options) {
+    // Own properties only, so '__proto__' or 'toString' is an unknown type
+    const ruleType = Object.hasOwn(RULE_TYPES, type) ? RULE_TYPES[type] : null;
+    if (!ruleType) {
+      throw invalid(`Type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+    }
+    return ruleType.validate(options || {});
+  }
+
+  // Add a rule. Throws with err.code 'invalid' for an unknown type or bad options.
+  function add({ type, options, enabled = true }) {
+    const rule = { id: crypto.randomUUID(), type, options: cleanOptions(type, options), enabled: !!enabled };
+    rules.push(rule);
+    return rule;
+  }
+
+  // Change a rule's options or switch it on/off; null if there's no such rule
+  function update(ruleId, { options, enabled } = {}) {
+    const rule = rules.find(r => r.id === ruleId);
+    if (!rule) {
+      return null;
+    }
+    if (options !== undefined) {
+      rule.options = cleanOptions(rule.type, options);
+    }
+    if (enabled !== undefined) {
+      rule.enabled = !!enabled;
+    }
+    return rule;
+  }
+
+  function remove(ruleId) {
+    const before = rules.length;
+    rules = rules.filter(rule => rule.id !== ruleId);
+    return rules.length !== before;
+  }
+
+  // The first enabled rule the track fails, as { code, reason, rule: { id, type } }, or null
+  function evaluate(track, context) {
+    for (const rule of rules) {
+      if (!rule.enabled) {
+        continue;
+      }
+      const rejection = RULE_TYPES[rule.type].check(track, rule.options, context);
+      if (rejection) {
+        return { ...rejection, rule: { id: rule.id, type: rule.type } };
+      }
+    }
+    return null;
+  }
+
+  return {
+    add,
+    update,
+    remove,
+    evaluate,
+    list: () => rules.map(rule => ({ ...rule, options: { ...rule.options } })),
+  };
+}
@@ -0,0 +1,62 @@
+// =============================================================================
+// REQUEST BATCHER
+// =============================================================================
+//
+// Groups concurrent single-key lookups into one batched call. Keys requested
+// within `delayMs` of each other are sent together (up to `maxBatchSize` per
+// call), and duplicate keys share one result.
+
+export function createBatcher({ fetchBatch, maxBatchSize = 40, delayMs = 10 }) {
+  // Map<key, Array<{ resolve, reject }>> waiting for the next flush
+  let waiting = new Map();
+  let timer = null;
+
+  async function runBatch(keys, callbacks) {
+    try {
+      // fetchBatch resolves to Map<key, value>; missing keys resolve to null
+      // and keys mapped to an Error reject with it
+      const results = await fetchBatch(keys);
+      for (const key of keys) {
+        const value = results.has(key) ? results.get(key) : null;
+        if (value instanceof Error) {
+          callbacks.get(key).forEach(({ reject }) => reject(value));
+        } else {
+          callbacks.get(key).forEach(({ resolve }) => resolve(value));
+        }
+      }
+    } catch (err) {
+      for (const key of keys) {
+        callbacks.get(key).forEach(({ reject }) => reject(err));
+      }
+    }
+  }
+
+  function flush() {
+    timer = null;
+    const callbacks = waiting;
+    waiting = new Map();
+
+    const keys = [...callbacks.keys()];
+    for (let i = 0; i < keys.length; i += maxBatchSize) {
+      runBatch(keys.slice(i, i + maxBatchSize), callbacks);
+    }
+  }
+
+  function load(key) {
+    return new Promise((resolve, reject) => {
+      if (!waiting.has(key)) {
+        waiting.set(key, []);
+      }
+      waiting.get(key).push({ resolve, reject });
+
+      if (waiting.size >= maxBatchSize) {
+        clearTimeout(timer);
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, delayMs);
+      }
+    });
+  }
+
+  return { load };
+}
@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// =============================================================================
+// BLOCKLIST
+// =============================================================================
+//
+// Host-managed list of songs that can't be queued. Each party's list is saved
+// against its host's Spotify account (see useFile), so it survives restarts
+// and carries over to that host's next party. Entries are:
+//   { id, type: 'track', value: <track id> }
+//   { id, type: 'artist', value: <artist id> }
+//   { id, type: 'keyword', value: <title pattern> } - case-insensitive, matches
+//     anywhere in the title; `*` matches any run of characters
+// plus an optional `label` so the host remembers what an id was.
+
+export const BLOCKLIST_TYPES = ['track', 'artist', 'keyword'];
+const DEFAULT_MESSAGE = 'The host has blocked this one.';
+
+// Accept a bare id, a spotify:<type>:<id> URI or an open.spotify.com link
+function parseSpotifyId(value, type) {
+  const match = String(value).trim()
+    .match(new RegExp(`^(?:spotify:${type}:|https://open\\.spotify\\.com/${type}/)?([A-Za-z0-9]+)(?:\\?.*)?$`));
+  return match ? match[1] : null;
+}
+
+function keywordToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(escaped.join('.*'), 'i');
+}
+
+export function createBlocklist({ filePath = null } = {}) {
+  let entries = [];
+  let message = DEFAULT_MESSAGE;
+  // Compiled keyword patterns, rebuilt whenever entries change
+  let keywordPatterns = [];
+
+  function compile() {
+    keywordPatterns = entries
+      .filter(entry => entry.type === 'keyword')
+      .map(entry => ({ entry, pattern: keywordToRegExp(entry.value) }));
+  }
+
+  // Read the saved list; resolves to false if there wasn't one
+  async function load() {
+    if (!filePath) {
+      return false;
+    }
+    try {
+      const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      entries = saved.entries || [];
+      message = saved.message || DEFAULT_MESSAGE;
+      compile();
+      console.log(`Loaded ${entries.length} blocklist entries`);
+      return true;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Could not read blocklist ${filePath}:`, err.message);
+      }
+      return false;
+    }
+  }
+
+  async function save() {
+    if (!filePath) {
+      return;
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ message, entries }, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  // Add an entry. Throws with err.code 'invalid' or 'exists' for bad input.
+  async function add({ type, value, label = null }) {
+    if (!BLOCKLIST_TYPES.includes(type)) {
+      throw Object.assign(new Error(`Type must be one of: ${BLOCKLIST_TYPES.join(', ')}`), { code: 'invalid' });
+    }
+
+    const normalized = type === 'keyword'
+      ? String(value || '').trim().toLowerCase()
+      : parseSpotifyId(value || '', type);
+    if (!normalized || normalized.replace(/\*/g, '') === '') {
+      throw Object.assign(new Error(`Not a valid ${type}`), { code: 'invalid' });
+    }
+    if (entries.some(entry => entry.type === type && entry.value === normalized)) {
+      throw Object.assign(new Error('Already blocked'), { code: 'exists' });
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      type,
+      value: normalized,
+      label: label ? String(label).slice(0, 200) : null,
+      addedAt: new Date().toISOString(),
+    };
+    entries.push(entry);
+    compile();
+    await save();
+    return entry;
+  }
+
+  // Remove an entry by id; resolves to false if there was no such entry
+  async function remove(entryId) {
+    const before = entries.length;
+    entries = entries.filter(entry => entry.id !== entryId);
+    if (entries.length === before) {
+      return false;
+    }
+    compile();
+    await save();
+    return true;
+  }
+
+  async function setMessage(text) {
+    message = String(text || '').trim().slice(0, 280) || DEFAULT_MESSAGE;
+    await save();
+    return message;
+  }
+
+  // Switch to another saved list (e.g. when a host connects) and load it.
+  // Anything added while the list had no file is kept and saved to the new one.
+  async function useFile(newPath) {
+    if (newPath === filePath) {
+      return;
+    }
+    const unsaved = filePath ? null : { entries, message };
+    filePath = newPath;
+    entries = [];
+    message = DEFAULT_MESSAGE;
+
+    const found = await load();
+    if (!unsaved) {
+      compile();
+      return;
+    }
+    const added = unsaved.entries.filter(entry => !entries.some(e => e.type === entry.type && e.value === entry.value));
+    entries.push(...added);
+    if (!found) {
+      message = unsaved.message;
+    }
+    compile();
+    if (added.length > 0 || !found) {
+      await save();
+    }
+  }
+
+  // The entry blocking a track ({ id, name, artists: [{ id }] }), or null
+  function match(track) {
+    for (const entry of entries) {
+      if (entry.type === 'track' && entry.value === track.id) {
+        return entry;
+      }
+      if (entry.type === 'artist' && track.artists?.some(artist => artist.id === entry.value)) {
+        return entry;
+      }
+    }
+    const keyword = keywordPatterns.find(({ pattern }) => pattern.test(track.name || ''));
+    return keyword ? keyword.entry : null;
+  }
+
+  return {
+    load,
+    useFile,
+    add,
+    remove,
+    setMessage,
+    match,
+    list: () => [...entries],
+    get message() {
+      return message;
+    },
+  };
+}
@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// =============================================================================
+// AUDIO FEATURES CACHE
+// =============================================================================
+//
+// Disk-backed LRU cache of audio features keyed by Spotify track id. Audio
+// features never change, so hits are kept until evicted. "Not found" results
+// are cached too (features: null) but expire, since ReccoBeats keeps adding
+// tracks.
+
+const SAVE_DELAY_MS = 5000; // Batch writes - lookups come in bursts
+
+export function createFeatureCache({
+  filePath = null,
+  maxEntries = 5000,
+  negativeTtlMs = 24 * 60 * 60 * 1000,
+} = {}) {
+  // Map<trackId, { features: object | null, cachedAt: number }> in LRU order
+  // (oldest first - Map keeps insertion order)
+  const entries = new Map();
+  let saveTimer = null;
+
+  // Returns { hit: true, features } (features may be null for "not found")
+  // or { hit: false }
+  function get(trackId) {
+    const entry = entries.get(trackId);
+    if (!entry) {
+      return { hit: false };
+    }
+    if (entry.features === null && Date.now() - entry.cachedAt > negativeTtlMs) {
+      entries.delete(trackId);
+      return { hit: false };
+    }
+
+    // Move to the most-recently-used end
+    entries.delete(trackId);
+    entries.set(trackId, entry);
+    return { hit: true, features: entry.features };
+  }
+
+  function set(trackId, features) {
+    entries.delete(trackId);
+    entries.set(trackId, { features, cachedAt: Date.now() });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    scheduleSave();
+  }
+
+  async function load() {
+    if (!filePath) {
+      return;
+    }
+    try {
+      const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      for (const [trackId, entry] of saved) {
+        entries.set(trackId, entry);
+      }
+      console.log(`Loaded ${entries.size} cached audio features`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Could not read audio features cache ${filePath}:`, err.message);
+      }
+    }
+  }
+
+  async function save() {
+    if (!filePath) {
+      return;
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify([...entries]));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function scheduleSave() {
+    if (!filePath || saveTimer) {
+      return;
+    }
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save().catch(err => console.error('Failed to save audio features cache:', err.message));
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  return {
+    get,
+    set,
+    load,
+    save,
+    get size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,244 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// =============================================================================
+// AUDIO FEATURE PROVIDERS
+// =============================================================================
+//
+// Every provider has the same shape:
+//   name                      - used in logs and config
+//   failOpen                  - on error, fall through to the next provider
+//                               (true) or fail the whole lookup (false)
+//   fetchFeatures(trackIds)   - resolves to Map<trackId, features>; tracks the
+//                               provider doesn't know are simply left out
+//
+// Providers are chained: each one is asked only for the tracks the previous
+// ones couldn't answer.
+
+const FEATURE_KEYS = [
+  'energy', 'valence', 'danceability', 'tempo', 'acousticness', 'instrumentalness',
+  'liveness', 'speechiness', 'loudness', 'key', 'mode',
+];
+
+// Pick the Spotify-compatible feature fields out of a provider record
+function toFeatures(record) {
+  const features = {};
+  for (const key of FEATURE_KEYS) {
+    const value = record[key];
+    if (value !== undefined && value !== null && value !== '') {
+      features[key] = Number(value);
+    }
+  }
+  return features;
+}
+
+// ReccoBeats (free, no auth, accepts Spotify track ids, up to 40 per request)
+export function createReccoBeatsProvider({ baseUrl = 'https://api.reccobeats.com', failOpen = true } = {}) {
+  return {
+    name: 'reccobeats',
+    failOpen,
+    maxBatchSize: 40,
+    async fetchFeatures(trackIds) {
+      const response = await fetch(`${baseUrl}/v1/audio-features?ids=${trackIds.join(',')}`);
+
+      if (!response.ok) {
+        throw new Error(`ReccoBeats API error for ${trackIds.join(',')}: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const results = new Map();
+
+      // ReccoBeats returns { content: [{ href: 'https://open.spotify.com/track/<id>', ...features }] }
+      for (const record of data.content || []) {
+        const trackId = record.href?.split('/track/')[1]?.split('?')[0]
+          || (trackIds.length === 1 ? trackIds[0] : null);
+        if (trackId) {
+          results.set(trackId, toFeatures(record));
+        }
+      }
+
+      return results;
+    },
+  };
+}
+
+// Parse a CSV file with a header row. Handles quoted fields; good enough for
+// exported feature datasets.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value !== ''));
+  return (records || []).map(values => Object.fromEntries(header.map((key, i) => [key.trim(), values[i]])));
+}
+
+// Local feature database: a JSON file ({ trackId: features } or an array of
+// records with an id) or a CSV file with an id / track_id column
+export function createLocalProvider({ filePath, failOpen = true }) {
+  let database = null;
+
+  async function loadDatabase() {
+    const text = await fs.readFile(filePath, 'utf8');
+    const records = path.extname(filePath).toLowerCase() === '.csv'
+      ? parseCsv(text)
+      : JSON.parse(text);
+
+    const entries = Array.isArray(records)
+      ? records.map(record => [record.id || record.track_id, record])
+      : Object.entries(records);
+
+    database = new Map(
+      entries.filter(([trackId]) => trackId).map(([trackId, record]) => [trackId, toFeatures(record)])
+    );
+    console.log(`Loaded ${database.size} tracks from local feature database ${filePath}`);
+  }
+
+  return {
+    name: 'local',
+    failOpen,
+    async fetchFeatures(trackIds) {
+      if (!database) {
+        await loadDatabase();
+      }
+      const results = new Map();
+      for (const trackId of trackIds) {
+        if (database.has(trackId)) {
+          results.set(trackId, database.get(trackId));
+        }
+      }
+      return results;
+    },
+  };
+}
+
+// Fixed features for tests (built in code, not selectable by config).
+// `error` makes every lookup fail.
+export function createFixtureProvider({ features = {}, error = null, failOpen = true } = {}) {
+  return {
+    name: 'fixture',
+    failOpen,
+    async fetchFeatures(trackIds) {
+      if (error) {
+        throw new Error(error);
+      }
+      const results = new Map();
+      for (const trackId of trackIds) {
+        if (features[trackId]) {
+          results.set(trackId, toFeatures(features[trackId]));
+        }
+      }
+      return results;
+    },
+  };
+}
+
+// Chain providers into one fetchFeatures(trackIds). A provider that errors is
+// skipped when it fails open; when it fails closed the whole lookup rejects
+// with err.failClosed set, so callers can refuse instead of allowing the song.
+// A track no provider found after one of them failed open maps to an Error
+// rather than being left out: nobody may have been able to look it up, so it
+// mustn't be remembered as "not found".
+export function createProviderChain(providers) {
+  return {
+    providers,
+    maxBatchSize: Math.min(...providers.map(p => p.maxBatchSize || Infinity), 40),
+    async fetchFeatures(trackIds) {
+      const results = new Map();
+      let remaining = trackIds;
+      let failure = null;
+
+      for (const provider of providers) {
+        if (remaining.length === 0) {
+          break;
+        }
+
+        try {
+          const found = await provider.fetchFeatures(remaining);
+          for (const [trackId, features] of found) {
+            results.set(trackId, features);
+          }
+          remaining = remaining.filter(trackId => !found.has(trackId));
+        } catch (err) {
+          if (!provider.failOpen) {
+            const error = new Error(`Audio feature provider "${provider.name}" failed: ${err.message}`);
+            error.failClosed = true;
+            throw error;
+          }
+          console.error(`Audio feature provider "${provider.name}" failed, trying next:`, err.message);
+          failure = new Error(`Audio feature provider "${provider.name}" failed: ${err.message}`);
+        }
+      }
+
+      if (failure) {
+        for (const trackId of remaining) {
+          results.set(trackId, failure);
+        }
+      }
+      return results;
+    },
+  };
+}
+
+// Build the provider chain from config, e.g. "local:closed,reccobeats".
+// Each entry is a provider name with an optional ":open" / ":closed" policy.
+export function createProvidersFromConfig(spec, { reccoBeatsUrl, featureDbPath } = {}) {
+  const providers = spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, policy = 'open'] = entry.split(':');
+    if (policy !== 'open' && policy !== 'closed') {
+      throw new Error(`Unknown fail policy "${policy}" for audio feature provider "${name}"`);
+    }
+    const failOpen = policy === 'open';
+
+    switch (name) {
+      case 'reccobeats':
+        return createReccoBeatsProvider({ baseUrl: reccoBeatsUrl, failOpen });
+      case 'local':
+        if (!featureDbPath) {
+          throw new Error('The "local" audio feature provider needs FEATURE_DB_PATH');
+        }
+        return createLocalProvider({ filePath: featureDbPath, failOpen });
+      default:
+        throw new Error(`Unknown audio feature provider "${name}". Use reccobeats or local.`);
+    }
+  });
+
+  if (providers.length === 0) {
+    throw new Error('AUDIO_FEATURE_PROVIDERS must name at least one provider');
+  }
+  return createProviderChain(providers);
+}
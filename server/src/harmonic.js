@@ -0,0 +1,67 @@
+// =============================================================================
+// HARMONIC MIXING
+// =============================================================================
+//
+// Camelot-wheel helpers for the harmonic vibe mode. Spotify/ReccoBeats report
+// `key` as a pitch class (0 = C ... 11 = B, -1 = unknown) and `mode` as
+// 1 = major, 0 = minor. On the wheel, majors are "B" and minors "A"; two keys
+// mix cleanly when they share a number (same key or relative major/minor) or
+// sit one step apart with the same letter.
+
+const PITCH_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// { number: 1-12, letter: 'A' | 'B', label: '8A' } or null if the key is unknown
+export function toCamelot(key, mode) {
+  if (!Number.isInteger(key) || key < 0 || key > 11 || (mode !== 0 && mode !== 1)) {
+    return null;
+  }
+  // Majors step round the circle of fifths from C = 8B; a minor sits on the
+  // same number as its relative major (three semitones up)
+  const majorKey = mode === 1 ? key : (key + 3) % 12;
+  const number = ((majorKey * 7) % 12 + 7) % 12 + 1;
+  const letter = mode === 1 ? 'B' : 'A';
+  return { number, letter, label: `${number}${letter}` };
+}
+
+export function keyName(key, mode) {
+  return `${PITCH_NAMES[key]} ${mode === 1 ? 'major' : 'minor'}`;
+}
+
+// Wheel positions that mix with `camelot`: itself, its neighbours and its relative
+export function compatibleCamelot(camelot) {
+  const step = offset => ((camelot.number - 1 + offset + 12) % 12) + 1;
+  const other = camelot.letter === 'A' ? 'B' : 'A';
+  return [
+    camelot.label,
+    `${step(-1)}${camelot.letter}`,
+    `${step(1)}${camelot.letter}`,
+    `${camelot.number}${other}`,
+  ];
+}
+
+// Compare a track's key with the reference (now-playing) track. Returns null
+// when either key is unknown, otherwise { compatible, track, reference, reason }.
+export function checkHarmonicMatch(features, referenceFeatures) {
+  const track = toCamelot(features.key, features.mode);
+  const reference = toCamelot(referenceFeatures.key, referenceFeatures.mode);
+  if (!track || !reference) {
+    return null;
+  }
+
+  const allowed = compatibleCamelot(reference);
+  const compatible = allowed.includes(track.label);
+  return {
+    compatible,
+    track: track.label,
+    reference: reference.label,
+    reason: compatible ? null : `Key clash: ${keyName(features.key, features.mode)} (${track.label}) won't mix with `
+      + `${keyName(referenceFeatures.key, referenceFeatures.mode)} (${reference.label}) - needs ${allowed.join(', ')}`,
+  };
+}
+
+// Whether a tempo falls in range, optionally counting half- and double-time
+// (a 64 BPM track mixes into a 128 BPM one)
+export function tempoInRange(tempo, range, halfDoubleTime = false) {
+  const candidates = halfDoubleTime ? [tempo, tempo * 2, tempo / 2] : [tempo];
+  return candidates.some(value => value >= range.min && value <= range.max);
+}
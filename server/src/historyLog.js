@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// =============================================================================
+// PARTY HISTORY
+// =============================================================================
+//
+// Append-only log of queue attempts and played tracks, kept for the party
+// recap. Stored as JSON lines so each entry is a single append and a crash
+// can at worst lose the last line.
+//
+// Entries:
+//   { type: 'request', at, outcome: 'accepted' | 'rejected' | 'rate_limited',
+//     reason, trackId, uri, name, artists, guestId, nickname,
+//     vibe: { preset, passed } }
+//   { type: 'played', at, trackId, uri, name, artists, durationMs, guestId, nickname }
+// vibe.passed is null when the vibe wasn't checked (filter off, no features).
+
+export function createHistoryLog({ filePath = null } = {}) {
+  const entries = [];
+  // Appends are chained so lines are written in order
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (!filePath) {
+      return;
+    }
+    try {
+      const text = await fs.readFile(filePath, 'utf8');
+      for (const line of text.split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          console.error('Skipping unreadable party history line');
+        }
+      }
+      console.log(`Loaded ${entries.length} party history entries`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Could not read party history ${filePath}:`, err.message);
+      }
+    }
+  }
+
+  function append(entry) {
+    const record = { at: new Date().toISOString(), ...entry };
+    entries.push(record);
+
+    if (filePath) {
+      writing = writing
+        .then(async () => {
+          await fs.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.appendFile(filePath, `${JSON.stringify(record)}\n`);
+        })
+        .catch(err => console.error('Failed to write party history:', err.message));
+    }
+    return record;
+  }
+
+  return {
+    load,
+    append,
+    entries: () => [...entries],
+  };
+}
+
+// =============================================================================
+// EXPORT FORMATS
+// =============================================================================
+
+const CSV_COLUMNS = [
+  'at', 'type', 'outcome', 'reason', 'trackId', 'name', 'artists', 'guestId', 'nickname', 'vibePreset', 'vibePassed',
+];
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function historyToCsv(entries) {
+  const rows = entries.map(entry => [
+    entry.at,
+    entry.type,
+    entry.outcome,
+    entry.reason,
+    entry.trackId,
+    entry.name,
+    entry.artists?.join(', '),
+    entry.guestId,
+    entry.nickname,
+    entry.vibe?.preset,
+    entry.vibe?.passed,
+  ].map(csvField).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Extended M3U of the tracks that actually played, in play order
+export function historyToM3u(entries, title = 'Party') {
+  const lines = ['#EXTM3U', `#PLAYLIST:${title}`];
+  for (const entry of entries) {
+    if (entry.type !== 'played') {
+      continue;
+    }
+    const seconds = entry.durationMs ? Math.round(entry.durationMs / 1000) : -1;
+    lines.push(`#EXTINF:${seconds},${(entry.artists || []).join(', ')} - ${entry.name}`);
+    lines.push(`https://open.spotify.com/track/${entry.trackId}`);
+  }
+  return lines.join('\n') + '\n';
+}
@@ -3,12 +3,37 @@ import cors from 'cors';
 import session from 'express-session';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import path from 'path';
+import { createTokenStore } from './tokenStore.js';
+import { createResponseCache } from './responseCache.js';
+import { createFeatureCache } from './featureCache.js';
+import { createBatcher } from './batcher.js';
+import { createProvidersFromConfig } from './featureProviders.js';
+import { createHistoryLog, historyToCsv, historyToM3u } from './historyLog.js';
+import { createBlocklist } from './blocklist.js';
+import {
+  parseTimeOfDay,
+  isValidTimeZone,
+  getActiveEntry,
+  getUpcomingTransitions,
+  canInterpolate,
+  interpolateSettings,
+  getArcTarget,
+} from './vibeSchedule.js';
+import { checkHarmonicMatch, tempoInRange } from './harmonic.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { createAdmissionRules, RULE_TYPES } from './admissionRules.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// External API base URLs (overridable so tests can point at a local fake)
+const SPOTIFY_API_URL = process.env.SPOTIFY_API_URL || 'https://api.spotify.com/v1';
+const SPOTIFY_ACCOUNTS_URL = process.env.SPOTIFY_ACCOUNTS_URL || 'https://accounts.spotify.com';
+const RECCOBEATS_API_URL = process.env.RECCOBEATS_API_URL || 'https://api.reccobeats.com';
+
 // Validate required environment variables
 const requiredEnvVars = ['SPOTIFY_CLIENT_ID', 'SPOTIFY_CLIENT_SECRET', 'SPOTIFY_REDIRECT_URI', 'SESSION_SECRET'];
 for (const envVar of requiredEnvVars) {
@@ -18,22 +43,57 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
-// Token storage (in-memory for single host)
-let hostTokens = {
-  accessToken: null,
-  refreshToken: null,
-  expiresAt: null,
-};
+// Host token storage, keyed by party code. Each party keeps a working copy of
+// its host's tokens and writes every change through to tokenStore so a restart
+// doesn't log the host out. userId is the host's Spotify account id, used to
+// stop other accounts taking over a party.
+const EMPTY_TOKENS = { accessToken: null, refreshToken: null, expiresAt: null, userId: null };
+
+const tokenStore = await createTokenStore({
+  type: process.env.TOKEN_STORE || 'file',
+  filePath: process.env.TOKEN_STORE_PATH,
+  secret: process.env.SESSION_SECRET,
+});
+
+// Each party's history is kept in PARTY_DATA_DIR/<code>/
+const PARTY_DATA_DIR = process.env.PARTY_DATA_DIR || 'data/parties';
+// Blocklists belong to the host, not the party: BLOCKLIST_DIR/<Spotify user id>.json
+const BLOCKLIST_DIR = process.env.BLOCKLIST_DIR || 'data/blocklists';
+
+// Guest device identity: a signed, long-lived cookie holding a random device id
+const GUEST_COOKIE_NAME = 'elq_guest';
+const GUEST_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+const NICKNAME_MAX_LENGTH = 24;
 
-// Rate limiting storage: Map<IP, { count: number, windowStart: number }>
-const rateLimitStore = new Map();
-const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
-const RATE_LIMIT_MAX_REQUESTS = 10;
+const HANDOFF_THRESHOLD_MS = 20 * 1000; // Hand off when the current track has < 20s left
+
+// A track can't be re-queued until this long after it was last seen playing
+const DUPLICATE_COOLDOWN_MS = Number(process.env.DUPLICATE_COOLDOWN_MINUTES || 60) * 60 * 1000;
+
+// Server-Sent Events timings (see REAL-TIME EVENTS in createParty)
+const PLAYBACK_POLL_INTERVAL_MS = 3000;
+const QUEUE_REFRESH_INTERVAL_MS = 15000; // Spotify's queue only changes between tracks, so refresh it rarely
+const EVENTS_HEARTBEAT_MS = 25000; // Keep proxies from closing idle streams
+
+// How long each party's Spotify response cache keeps read-only calls
+const CACHE_TTL_MS = {
+  nowPlaying: 2000,
+  queue: 3000,
+  search: 60 * 1000,
+  track: 10 * 60 * 1000,
+  artist: 6 * 60 * 60 * 1000, // Genres rarely change
+};
 
 // OAuth state storage (avoids session issues on Render free tier)
-// Map<state, { codeVerifier: string, createdAt: number }>
+// Map<state, { codeVerifier, partyCode, returnTo, createdAt }>
 const oauthStateStore = new Map();
 
+// Failed host PIN attempts: Map<IP, { count: number, windowStart: number }>
+const pinAttemptStore = new Map();
+const PIN_ATTEMPT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const PIN_MAX_ATTEMPTS = 5;
+
 // =============================================================================
 // VIBE FILTERING SYSTEM
 // =============================================================================
@@ -56,6 +116,29 @@ const VIBE_PRESETS = {
       danceability: 0.4, // Was 0.25 - more lenient
       tempo: 35,         // Was 20 BPM - allow wider tempo range
     },
+    harmonic: false,       // Also require a compatible key (see harmonic.js)
+    halfDoubleTime: false, // Count half/double-time tempos as a match
+  },
+  harmonic: {
+    name: 'Harmonic Mix',
+    description: 'Only songs in a key that mixes with whatever is playing',
+    enabled: true,
+    dynamic: true,
+    harmonic: true,
+    halfDoubleTime: true,
+    tolerance: {
+      tempo: 8,
+    },
+  },
+  arc: {
+    name: 'Energy Arc',
+    description: 'Build the night along the host\'s energy curve',
+    enabled: true,
+    arc: true, // Window is centered on the energy arc (see PUT /api/vibe/arc)
+    tolerance: {
+      energy: 0.2,
+      tempo: 15,
+    },
   },
   chill: {
     name: 'Chill Vibes',
@@ -104,170 +187,210 @@ const VIBE_PRESETS = {
   },
 };
 
-// Current vibe settings (in-memory, will reset on restart)
-// Using ReccoBeats API for audio features (Spotify deprecated theirs in Nov 2024)
-let currentVibe = {
-  preset: 'match',
-  settings: { ...VIBE_PRESETS.match },
-};
-
-// Fetch audio features for a track using ReccoBeats API
-// (Spotify deprecated their audio-features endpoint in Nov 2024)
-async function getAudioFeatures(trackId) {
-  try {
-    // Use ReccoBeats API - free, no auth required, accepts Spotify track IDs
-    const response = await fetch(`https://api.reccobeats.com/v1/audio-features?ids=${trackId}`);
+// Vibe schedule limits (every party's schedule is checked each tick)
+const VIBE_SCHEDULE_TICK_MS = 15 * 1000;
+const VIBE_SCHEDULE_MAX_ENTRIES = 24;
+const VIBE_EASE_MAX_MINUTES = 120;
 
-    if (!response.ok) {
-      console.error(`ReccoBeats API error for ${trackId}: ${response.status}`);
-      return null;
-    }
+const ENERGY_ARC_MAX_POINTS = 24;
 
-    const data = await response.json();
+// Most track ids POST /api/vibe/check takes at once (a few pages of search results)
+const VIBE_BATCH_MAX = 50;
 
-    // ReccoBeats returns { content: [{ ...features }] }
-    if (!data.content || data.content.length === 0) {
-      console.log(`Track ${trackId} not found in ReccoBeats database`);
-      return null;
-    }
+const GENRE_RULES_MAX_TERMS = 50;
 
-    const features = data.content[0];
+// Audio feature providers, tried in order (AUDIO_FEATURE_PROVIDERS, e.g.
+// "local,reccobeats"). Using ReccoBeats by default since Spotify deprecated
+// their audio-features endpoint in Nov 2024.
+const featureProviders = createProvidersFromConfig(process.env.AUDIO_FEATURE_PROVIDERS || 'reccobeats', {
+  reccoBeatsUrl: RECCOBEATS_API_URL,
+  featureDbPath: process.env.FEATURE_DB_PATH,
+});
 
-    // Return in Spotify-compatible format
-    return {
-      energy: features.energy,
-      valence: features.valence,
-      danceability: features.danceability,
-      tempo: features.tempo,
-      acousticness: features.acousticness,
-      instrumentalness: features.instrumentalness,
-      liveness: features.liveness,
-      speechiness: features.speechiness,
-      loudness: features.loudness,
-      key: features.key,
-      mode: features.mode,
-    };
-  } catch (err) {
-    console.error('Error fetching audio features from ReccoBeats:', err.message);
-    return null;
-  }
-}
+// Audio features cache (persisted to disk) and lookup batcher.
+// Features never change, so each track is looked up once; concurrent lookups
+// are grouped into one batched provider call.
+const featureCache = createFeatureCache({
+  filePath: process.env.FEATURE_CACHE_PATH || 'data/audio-features.json',
+  maxEntries: Number(process.env.FEATURE_CACHE_SIZE || 5000),
+});
+const featureBatcher = createBatcher({
+  fetchBatch: trackIds => featureProviders.fetchFeatures(trackIds),
+  maxBatchSize: featureProviders.maxBatchSize,
+});
+// Map<trackId, Promise> so a lookup already on its way isn't repeated
+const featureLookups = new Map();
 
-// Get currently playing track ID
-async function getCurrentlyPlayingTrackId() {
-  try {
-    const response = await spotifyFetch('/me/player/currently-playing');
-    if (response.status === 204 || !response.ok) {
-      return null;
-    }
-    const data = await response.json();
-    return data?.item?.id || null;
-  } catch (err) {
-    console.error('Error getting currently playing track:', err);
-    return null;
+// Fetch audio features for a track (cached, batched, provider chain).
+// Resolves to null when no provider knows the track or a fail-open provider
+// errored (only the first is cached); rejects (err.failClosed) when a
+// fail-closed provider errored.
+async function getAudioFeatures(trackId) {
+  const cached = featureCache.get(trackId);
+  if (cached.hit) {
+    return cached.features;
   }
-}
 
-// Check if a track matches the current vibe (with dynamic support)
-async function checkVibeMatch(audioFeatures) {
-  if (!currentVibe.settings.enabled) {
-    return { matches: true, reason: null };
+  if (!featureLookups.has(trackId)) {
+    const lookup = featureBatcher.load(trackId)
+      .then(features => {
+        if (!features) {
+          console.log(`Track ${trackId} not found by any audio feature provider`);
+        }
+        // Cache "not found" too, so we stop asking for a while
+        featureCache.set(trackId, features);
+        return features;
+      })
+      .catch(err => {
+        // Don't cache failures - the provider may be back next time
+        console.error('Error fetching audio features:', err.message);
+        if (err.failClosed) {
+          throw err;
+        }
+        return null;
+      })
+      .finally(() => featureLookups.delete(trackId));
+    featureLookups.set(trackId, lookup);
   }
 
-  let thresholds;
-  let referenceFeatures = null;
-
-  // Handle dynamic "match" mode
-  if (currentVibe.settings.dynamic) {
-    const nowPlayingId = await getCurrentlyPlayingTrackId();
-    if (!nowPlayingId) {
-      // Nothing playing, allow the song
-      return { matches: true, reason: null, note: 'Nothing currently playing' };
-    }
-
-    referenceFeatures = await getAudioFeatures(nowPlayingId);
-    if (!referenceFeatures) {
-      // Can't get reference features, allow the song
-      return { matches: true, reason: null, note: 'Could not get reference track features' };
-    }
+  return featureLookups.get(trackId);
+}
 
-    // Build thresholds dynamically from now-playing track
-    const tol = currentVibe.settings.tolerance;
-    thresholds = {
-      energy: {
-        min: Math.max(0, referenceFeatures.energy - tol.energy),
-        max: Math.min(1, referenceFeatures.energy + tol.energy),
-      },
-      valence: {
-        min: Math.max(0, referenceFeatures.valence - tol.valence),
-        max: Math.min(1, referenceFeatures.valence + tol.valence),
-      },
-      danceability: {
-        min: Math.max(0, referenceFeatures.danceability - tol.danceability),
-        max: Math.min(1, referenceFeatures.danceability + tol.danceability),
-      },
-      tempo: {
-        min: Math.max(0, referenceFeatures.tempo - tol.tempo),
-        max: referenceFeatures.tempo + tol.tempo,
+// Vibe for a preset, with the host's overrides: custom ranges for 'custom',
+// tolerances and mixing options for the now-playing presets. customSettings
+// must have been through cleanCustomSettings.
+function buildVibe(preset, customSettings) {
+  if (preset === 'custom' && customSettings) {
+    return {
+      preset: 'custom',
+      settings: {
+        ...VIBE_PRESETS.custom,
+        ...customSettings,
+        enabled: true,
       },
     };
-  } else {
-    // Use preset thresholds
-    thresholds = {
-      energy: currentVibe.settings.energy,
-      valence: currentVibe.settings.valence,
-      tempo: currentVibe.settings.tempo,
-      danceability: currentVibe.settings.danceability,
+  }
+  if ((VIBE_PRESETS[preset]?.dynamic || VIBE_PRESETS[preset]?.arc) && customSettings) {
+    // Now-playing and arc presets only let the host tune how far from the
+    // playing track (or the arc) a song may be, and whether keys have to mix
+    const base = VIBE_PRESETS[preset];
+    return {
+      preset,
+      settings: {
+        ...base,
+        tolerance: {
+          ...base.tolerance,
+          ...customSettings.tolerance,
+        },
+        harmonic: base.harmonic || !!customSettings.harmonic,
+        halfDoubleTime: customSettings.halfDoubleTime ?? base.halfDoubleTime,
+      },
     };
   }
+  return {
+    preset,
+    settings: { ...VIBE_PRESETS[preset] },
+  };
+}
 
-  const mismatches = [];
-
-  if (thresholds.energy && (audioFeatures.energy < thresholds.energy.min || audioFeatures.energy > thresholds.energy.max)) {
-    const level = audioFeatures.energy < thresholds.energy.min ? 'too mellow' : 'too intense';
-    mismatches.push(`Energy is ${level}`);
+// What the host may set in customSettings: the ranges of the 'custom' preset
+// and the tolerances of the now-playing and arc presets, as [min, max]
+const CUSTOM_RANGE_BOUNDS = { energy: [0, 1], valence: [0, 1], danceability: [0, 1], tempo: [0, 300] };
+const TOLERANCE_BOUNDS = { energy: [0, 1], valence: [0, 1], danceability: [0, 1], tempo: [0, 100] };
+
+// Check the host's customSettings for a preset and keep only what buildVibe
+// uses for it; null when the preset takes none. Anything that isn't a number
+// would turn into NaN thresholds that pass or fail every song.
+// Throws with err.code 'invalid'.
+function cleanCustomSettings(preset, customSettings) {
+  if (customSettings === undefined || customSettings === null) {
+    return null;
   }
-
-  if (thresholds.valence && (audioFeatures.valence < thresholds.valence.min || audioFeatures.valence > thresholds.valence.max)) {
-    const level = audioFeatures.valence < thresholds.valence.min ? 'too sad' : 'too upbeat';
-    mismatches.push(`Mood is ${level}`);
+  const invalid = message => Object.assign(new Error(message), { code: 'invalid' });
+  const inBounds = (value, [min, max]) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+  if (typeof customSettings !== 'object' || Array.isArray(customSettings)) {
+    throw invalid('customSettings must be an object');
   }
 
-  if (thresholds.tempo && (audioFeatures.tempo < thresholds.tempo.min || audioFeatures.tempo > thresholds.tempo.max)) {
-    const level = audioFeatures.tempo < thresholds.tempo.min ? 'too slow' : 'too fast';
-    mismatches.push(`Tempo is ${level}`);
+  if (preset === 'custom') {
+    const cleaned = {};
+    for (const [key, bounds] of Object.entries(CUSTOM_RANGE_BOUNDS)) {
+      const range = customSettings[key];
+      if (range === undefined) {
+        continue;
+      }
+      if (!inBounds(range?.min, bounds) || !inBounds(range?.max, bounds) || range.min > range.max) {
+        throw invalid(`${key} needs a min and max between ${bounds[0]} and ${bounds[1]}, min first`);
+      }
+      cleaned[key] = { min: range.min, max: range.max };
+    }
+    return cleaned;
   }
 
-  if (thresholds.danceability && (audioFeatures.danceability < thresholds.danceability.min || audioFeatures.danceability > thresholds.danceability.max)) {
-    const level = audioFeatures.danceability < thresholds.danceability.min ? 'not danceable enough' : 'too dancey';
-    mismatches.push(`Track is ${level}`);
+  if (VIBE_PRESETS[preset]?.dynamic || VIBE_PRESETS[preset]?.arc) {
+    const cleaned = {};
+    const { tolerance } = customSettings;
+    if (tolerance !== undefined) {
+      if (tolerance === null || typeof tolerance !== 'object' || Array.isArray(tolerance)) {
+        throw invalid('tolerance must be an object');
+      }
+      cleaned.tolerance = {};
+      for (const [key, bounds] of Object.entries(TOLERANCE_BOUNDS)) {
+        if (tolerance[key] === undefined) {
+          continue;
+        }
+        if (!inBounds(tolerance[key], bounds)) {
+          throw invalid(`${key} tolerance must be between ${bounds[0]} and ${bounds[1]}`);
+        }
+        cleaned.tolerance[key] = tolerance[key];
+      }
+    }
+    for (const key of ['harmonic', 'halfDoubleTime']) {
+      if (customSettings[key] === undefined) {
+        continue;
+      }
+      if (typeof customSettings[key] !== 'boolean') {
+        throw invalid(`${key} must be true or false`);
+      }
+      cleaned[key] = customSettings[key];
+    }
+    return cleaned;
   }
 
-  if (mismatches.length > 0) {
-    return {
-      matches: false,
-      reason: mismatches[0], // Return first mismatch as primary reason
-      allReasons: mismatches,
-      audioFeatures: {
-        energy: audioFeatures.energy,
-        valence: audioFeatures.valence,
-        tempo: audioFeatures.tempo,
-        danceability: audioFeatures.danceability,
-      },
-      referenceFeatures: referenceFeatures ? {
-        energy: referenceFeatures.energy,
-        valence: referenceFeatures.valence,
-        tempo: referenceFeatures.tempo,
-        danceability: referenceFeatures.danceability,
-      } : null,
-      thresholds,
+  return null;
+}
+
+// Ranges of +/- tolerance around a set of features, for the features that
+// have both a value and a tolerance
+function thresholdsAround(center, tolerance) {
+  const thresholds = {};
+  for (const key of ['energy', 'valence', 'danceability']) {
+    if (center[key] !== undefined && tolerance[key] !== undefined) {
+      thresholds[key] = {
+        min: Math.max(0, center[key] - tolerance[key]),
+        max: Math.min(1, center[key] + tolerance[key]),
+      };
+    }
+  }
+  if (center.tempo !== undefined && tolerance.tempo !== undefined) {
+    thresholds.tempo = {
+      min: Math.max(0, center.tempo - tolerance.tempo),
+      max: center.tempo + tolerance.tempo,
     };
   }
+  return thresholds;
+}
 
-  return { matches: true, reason: null };
+// Clean up host-entered genre terms (array or comma-separated string)
+function normalizeGenreTerms(terms) {
+  const list = Array.isArray(terms) ? terms : String(terms || '').split(',');
+  return [...new Set(list.map(term => String(term).trim().toLowerCase()).filter(Boolean))]
+    .slice(0, GENRE_RULES_MAX_TERMS);
 }
 
 // Middleware
+// Render terminates TLS in front of us - trust its X-Forwarded-For so req.ip is the guest's IP
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS || 1));
 app.use(express.json());
 // CORS configuration - accepts comma-separated origins
 const corsOrigins = (process.env.FRONTEND_URL || 'http://localhost:3000')
@@ -282,6 +405,7 @@ app.use(session({
   secret: process.env.SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
+  proxy: true, // Render terminates TLS, so trust X-Forwarded-Proto for secure cookies
   cookie: {
     secure: process.env.NODE_ENV === 'production',
     httpOnly: true,
@@ -289,6 +413,9 @@ app.use(session({
   },
 }));
 
+// Guest identity for every API request (rate limits, attribution)
+app.use('/api', guestIdentity);
+
 // PKCE helper functions
 function generateCodeVerifier() {
   return crypto.randomBytes(32).toString('base64url');
@@ -302,654 +429,2645 @@ function generateState() {
   return crypto.randomBytes(16).toString('hex');
 }
 
-// Spotify API helper
-async function spotifyFetch(endpoint, options = {}) {
-  // Check if we need to refresh the token
-  if (hostTokens.expiresAt && Date.now() >= hostTokens.expiresAt - 60000) {
-    await refreshAccessToken();
-  }
+// Sign a guest device id so it can't be forged or swapped
+function signGuestId(guestId) {
+  return crypto.createHmac('sha256', process.env.SESSION_SECRET).update(guestId).digest('base64url');
+}
 
-  if (!hostTokens.accessToken) {
-    throw new Error('Not authenticated');
+// Read one cookie from the request (avoids pulling in cookie-parser for one value)
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) {
+    return null;
   }
-
-  const response = await fetch(`https://api.spotify.com/v1${endpoint}`, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${hostTokens.accessToken}`,
-      'Content-Type': 'application/json',
-      ...options.headers,
-    },
-  });
-
-  if (response.status === 401) {
-    // Token expired, try to refresh
-    await refreshAccessToken();
-    // Retry the request
-    return fetch(`https://api.spotify.com/v1${endpoint}`, {
-      ...options,
-      headers: {
-        'Authorization': `Bearer ${hostTokens.accessToken}`,
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-    });
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch {
+        // Malformed escapes - treat it as no cookie
+        return null;
+      }
+    }
   }
+  return null;
+}
 
-  return response;
+// Stand-in id for a device without a valid cookie: one per IP, so a client
+// that drops cookies still only gets one place in the fairness rotation
+function ipGuestId(req) {
+  const digest = crypto.createHmac('sha256', process.env.SESSION_SECRET).update(getClientIp(req)).digest('base64url');
+  return `ip-${digest.slice(0, 16)}`;
 }
 
-// Refresh access token
-async function refreshAccessToken() {
-  if (!hostTokens.refreshToken) {
-    throw new Error('No refresh token available');
+// Attach req.guestId from the signed device cookie, issuing one if needed.
+// req.guestIdVerified is false for a device that didn't send a valid cookie
+// (first visit, or a client that drops cookies); those share their IP's id
+// and are rate limited by IP.
+function guestIdentity(req, res, next) {
+  const cookie = readCookie(req, GUEST_COOKIE_NAME);
+  const [guestId, signature] = (cookie || '').split('.');
+
+  if (guestId && signature) {
+    // Compare bytes, not characters - timingSafeEqual throws on a length mismatch
+    const expected = Buffer.from(signGuestId(guestId));
+    const actual = Buffer.from(signature);
+    if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+      req.guestId = guestId;
+      req.guestIdVerified = true;
+      return next();
+    }
   }
 
-  const response = await fetch('https://accounts.spotify.com/api/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': `Basic ${Buffer.from(`${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`).toString('base64')}`,
-    },
-    body: new URLSearchParams({
-      grant_type: 'refresh_token',
-      refresh_token: hostTokens.refreshToken,
-    }),
+  req.guestId = ipGuestId(req);
+  req.guestIdVerified = false;
+  // A fresh device id for next time
+  const newGuestId = crypto.randomUUID();
+  res.cookie(GUEST_COOKIE_NAME, `${newGuestId}.${signGuestId(newGuestId)}`, {
+    maxAge: GUEST_COOKIE_MAX_AGE_MS,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
   });
-
-  if (!response.ok) {
-    const error = await response.json();
-    console.error('Failed to refresh token:', error);
-    hostTokens = { accessToken: null, refreshToken: null, expiresAt: null };
-    throw new Error('Failed to refresh token');
-  }
-
-  const data = await response.json();
-  hostTokens.accessToken = data.access_token;
-  if (data.refresh_token) {
-    hostTokens.refreshToken = data.refresh_token;
-  }
-  hostTokens.expiresAt = Date.now() + data.expires_in * 1000;
-
-  console.log('Access token refreshed successfully');
+  next();
 }
 
-// Rate limiting middleware for queue additions
-function checkRateLimit(req, res, next) {
-  const ip = req.ip || req.connection.remoteAddress || 'unknown';
-  const now = Date.now();
+// The client's IP, as seen through the proxy
+function getClientIp(req) {
+  return req.ip || req.connection.remoteAddress || 'unknown';
+}
 
-  let userLimit = rateLimitStore.get(ip);
+// Rate limit key for a request: the device when we recognise it, else the IP
+function getRateLimitKey(req) {
+  return req.guestIdVerified ? `guest:${req.guestId}` : `ip:${getClientIp(req)}`;
+}
 
-  if (!userLimit || now - userLimit.windowStart >= RATE_LIMIT_WINDOW_MS) {
-    // Start new window
-    userLimit = { count: 0, windowStart: now };
-  }
+// "3 minute(s)" / "45 second(s)" until a timestamp
+function describeWait(until, now) {
+  const seconds = Math.max(1, Math.ceil((until - now) / 1000));
+  return seconds < 120 ? `${seconds} second(s)` : `${Math.ceil(seconds / 60)} minute(s)`;
+}
 
-  if (userLimit.count >= RATE_LIMIT_MAX_REQUESTS) {
-    const resetTime = userLimit.windowStart + RATE_LIMIT_WINDOW_MS;
-    const minutesRemaining = Math.ceil((resetTime - now) / 60000);
-    return res.status(429).json({
-      error: 'Rate limit exceeded',
-      message: `You can only add ${RATE_LIMIT_MAX_REQUESTS} songs per hour. Try again in ${minutesRemaining} minute(s).`,
-      resetAt: new Date(resetTime).toISOString(),
-      remaining: 0,
-    });
-  }
+// Constant-time comparison for a party's host PIN
+function pinMatches(pin, hostPin) {
+  const expected = crypto.createHash('sha256').update(hostPin).digest();
+  const actual = crypto.createHash('sha256').update(String(pin)).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
 
-  // Store for later increment (will be incremented on successful queue addition)
-  req.rateLimit = { ip, userLimit };
-  next();
+// Format a Spotify track object for the frontend
+function formatTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    artists: track.artists.map(a => ({ id: a.id, name: a.name })),
+    album: {
+      id: track.album.id,
+      name: track.album.name,
+      images: track.album.images,
+    },
+    duration_ms: track.duration_ms,
+    uri: track.uri,
+    explicit: !!track.explicit,
+  };
 }
 
 // =============================================================================
-// AUTH ROUTES
+// PARTIES
 // =============================================================================
+//
+// One server can run several parties at once. Each party has a join code and
+// its own host tokens, vibe settings, queue, rate limits, nicknames and
+// history; createParty() builds all of that plus a router with the party's
+// API, mounted at /api/p/:code. Inside it, "/api/vibe" in a route comment
+// means /api/p/:code/vibe.
+
+// Host sessions: req.session.hostOf lists the codes of the parties this
+// browser hosts
+function isPartyHost(req, code) {
+  return !!req.session?.hostOf?.includes(code);
+}
 
-// GET /api/auth/login - Redirect to Spotify OAuth
-app.get('/api/auth/login', (req, res) => {
-  const codeVerifier = generateCodeVerifier();
-  const codeChallenge = generateCodeChallenge(codeVerifier);
-  const state = generateState();
-
-  // Store in memory (more reliable than session on Render free tier)
-  oauthStateStore.set(state, { codeVerifier, createdAt: Date.now() });
+function grantHost(req, code) {
+  req.session.hostOf = [...new Set([...(req.session.hostOf || []), code])];
+}
 
-  // Clean up old states (older than 10 minutes)
-  const TEN_MINUTES = 10 * 60 * 1000;
-  for (const [key, value] of oauthStateStore.entries()) {
-    if (Date.now() - value.createdAt > TEN_MINUTES) {
-      oauthStateStore.delete(key);
+function createParty(code) {
+  const router = express.Router();
+  // The history file lives in the party's own directory
+  const dataDir = path.join(PARTY_DATA_DIR, code);
+  const createdAt = Date.now();
+  // Lets the host unlock the host controls on another device; saved with the
+  // host tokens so it survives a restart
+  let hostPin = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  // The host's tokens; every change is written through to tokenStore
+  let hostTokens = { ...EMPTY_TOKENS };
+  // Whether a host ever connected Spotify - claimed parties are never pruned,
+  // even after the host logs out
+  let claimed = false;
+
+  // Replace the host tokens and persist them (or clear the store when logged out)
+  async function setHostTokens(tokens) {
+    if (tokens.userId !== hostTokens.userId) {
+      // Different (or no) host - nothing cached for the old account applies
+      spotifyCache.clear();
+    }
+    hostTokens = { ...EMPTY_TOKENS, ...tokens };
+    claimed ||= !!hostTokens.refreshToken;
+    await useHostBlocklist();
+    try {
+      if (hostTokens.refreshToken) {
+        await tokenStore.save(code, { ...hostTokens, hostPin });
+      } else {
+        await tokenStore.clear(code);
+      }
+    } catch (err) {
+      console.error('Failed to persist host tokens:', err.message);
     }
   }
 
-  const scopes = [
-    'user-read-playback-state',
-    'user-modify-playback-state',
-    'user-read-currently-playing',
-  ].join(' ');
+  // Rate limiting: token buckets per guest, with a policy the host can change
+  // at runtime (see rateLimiter.js). Guests are identified by their device
+  // cookie; each IP also gets a generous ceiling so clearing cookies can't be
+  // used to flood the queue.
+  const rateLimiter = createRateLimiter();
+
+  // Map<guestId, nickname> - set once per device, shown as "added by" on the
+  // songs a guest requests
+  const guestNicknames = new Map();
+
+  // Server-managed pending queue. Guest requests wait here and are handed to
+  // Spotify one at a time, so rapid additions don't stack LIFO in Spotify's queue.
+  // Array<{ id, uri, trackId, track, guestId, addedAt, votes: Map<guestId, 1 | -1> }>
+  let pendingQueue = [];
+  // Map<guestId, timestamp> of the last time a guest's request was handed to Spotify
+  const guestLastServed = new Map();
+  // The most recent track handed to Spotify: { uri, requestId, guestId, duringTrackId, at }
+  let lastHandoff = null;
+
+  // Duplicate protection: Map<trackId, timestamp> of when each track was last seen
+  // playing. A track can't be re-queued until the cooldown has passed.
+  const recentlyPlayed = new Map();
+
+  // Party history: every queue attempt and every track that played, kept on disk
+  // for the recap export
+  const partyHistory = createHistoryLog({
+    filePath: path.join(dataDir, 'history.jsonl'),
+  });
+  // Map<trackId, guestId> of requests handed to Spotify that haven't played yet,
+  // so the played entry can say who asked for it
+  const handoffRequesters = new Map();
+  // Requester of the track that's playing now, once it has left handoffRequesters
+  let nowPlayingRequester = null; // { trackId, guestId }
+  let lastPlayedTrackId = null;
+
+  // Server-Sent Events: one server-side poller watches playback and pushes
+  // changes to every connected guest instead of each phone polling Spotify
+  const eventClients = new Set(); // Set<express.Response>
+  // Last payloads broadcast to clients, also sent to newly connected clients
+  const lastEvents = { 'now-playing': null, queue: null };
+
+  // Shared cache for read-only Spotify calls. Guests polling the same endpoint
+  // share one upstream request; queue writes invalidate the queue entries.
+  const spotifyCache = createResponseCache();
+
+  // Current vibe settings (in-memory, will reset on restart)
+  // Using ReccoBeats API for audio features (Spotify deprecated theirs in Nov 2024)
+  let currentVibe = {
+    preset: 'match',
+    settings: { ...VIBE_PRESETS.match },
+  };
+
+  // Host's vibe timeline: { timeZone, entries: [{ at: 'HH:MM', preset, customSettings, easeMinutes }] }
+  // The schedule only switches when a new entry starts, so a manual
+  // POST /api/vibe holds until the next scheduled change.
+  let vibeSchedule = null;
+  let scheduleActiveIndex = null; // Entry applied most recently
+  // { from: settings, to: { preset, settings }, startedAt, endsAt } while easing into a preset
+  let vibeTransition = null;
+
+  // Target curve for the 'arc' preset: { timeZone, points: [{ at: 'HH:MM', energy, tempo? }] }
+  let energyArc = null;
+
+  // Host-configured genre rules, applied on top of the vibe preset. Terms match
+  // as case-insensitive substrings of any of the track's artists' genres, so
+  // "house" also covers "deep house" and "tech house". Spotify has no genres
+  // for a lot of smaller artists; with an allowlist they're turned away unless
+  // the host sets allowUnknown.
+  let genreRules = { allow: [], block: [], allowUnknown: false };
+
+  // Family-friendly mode: reject tracks Spotify flags as explicit. hideInSearch
+  // drops them from search results instead of just labelling them.
+  let explicitFilter = { enabled: false, hideInSearch: false };
+
+  // Host-managed blocklist of tracks, artists and title keywords. Kept in
+  // memory until a host connects Spotify, then saved against their account.
+  const blocklist = createBlocklist();
+
+  async function useHostBlocklist() {
+    if (!hostTokens.userId) {
+      // Logged out - keep the list, the same host may well connect again
+      return;
+    }
+    try {
+      await blocklist.useFile(path.join(BLOCKLIST_DIR, `${encodeURIComponent(hostTokens.userId)}.json`));
+    } catch (err) {
+      console.error('Failed to load the host\'s blocklist:', err.message);
+    }
+  }
 
-  const authUrl = new URL('https://accounts.spotify.com/authorize');
-  authUrl.searchParams.set('client_id', process.env.SPOTIFY_CLIENT_ID);
-  authUrl.searchParams.set('response_type', 'code');
-  authUrl.searchParams.set('redirect_uri', process.env.SPOTIFY_REDIRECT_URI);
-  authUrl.searchParams.set('scope', scopes);
-  authUrl.searchParams.set('state', state);
-  authUrl.searchParams.set('code_challenge_method', 'S256');
-  authUrl.searchParams.set('code_challenge', codeChallenge);
+  // Host-configured admission rules (song length, popularity, release years,
+  // artist caps) checked in POST /api/queue - see admissionRules.js
+  const admissionRules = createAdmissionRules();
+  const admissionContext = { countArtistRequests };
 
-  res.redirect(authUrl.toString());
-});
+  // Get the raw currently-playing payload ({ item, progress_ms, is_playing, ... })
+  // Returns null when nothing is playing
+  async function fetchPlaybackState() {
+    const response = await spotifyGet('/me/player/currently-playing', CACHE_TTL_MS.nowPlaying);
+    if (response.status === 204 || !response.ok) {
+      return null;
+    }
+    rememberPlaying(response.data);
+    return response.data?.item ? response.data : null;
+  }
 
-// GET /api/auth/callback - Handle OAuth callback
-app.get('/api/auth/callback', async (req, res) => {
-  const { code, state, error } = req.query;
-  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  // Record the playing track for the recently-played cooldown
+  function rememberPlaying(playback) {
+    if (!playback?.item?.id) {
+      return;
+    }
+    const now = Date.now();
+    recentlyPlayed.set(playback.item.id, now);
 
-  if (error) {
-    console.error('OAuth error:', error);
-    return res.redirect(`${frontendUrl}?error=${encodeURIComponent(error)}`);
+    // Forget anything past the cooldown
+    for (const [trackId, playedAt] of recentlyPlayed) {
+      if (now - playedAt > DUPLICATE_COOLDOWN_MS) {
+        recentlyPlayed.delete(trackId);
+      }
+    }
   }
 
-  if (!code) {
-    return res.redirect(`${frontendUrl}?error=missing_code`);
+  // Track ids that are already waiting to play: our pending queue plus
+  // Spotify's own queue (cached, so this is cheap to call per request)
+  async function getQueuedTrackIds() {
+    const ids = new Set(pendingQueue.map(request => request.trackId));
+    const response = await spotifyGet('/me/player/queue', CACHE_TTL_MS.queue);
+    if (response.ok) {
+      for (const track of response.data?.queue || []) {
+        ids.add(track.id);
+      }
+    }
+    return ids;
   }
 
-  // Verify state and get code verifier from memory store
-  const storedAuth = oauthStateStore.get(state);
-  if (!storedAuth) {
-    console.error('State mismatch or expired. State:', state, 'Store size:', oauthStateStore.size);
-    return res.redirect(`${frontendUrl}?error=state_mismatch`);
+  // Why a track can't be queued right now, or null if it can:
+  // 'already_queued' or 'recently_played'
+  function getDuplicateStatus(trackId, queuedIds) {
+    if (queuedIds.has(trackId)) {
+      return { reason: 'already_queued' };
+    }
+    const playedAt = recentlyPlayed.get(trackId);
+    if (playedAt && Date.now() - playedAt < DUPLICATE_COOLDOWN_MS) {
+      return { reason: 'recently_played', playedAt, availableAt: playedAt + DUPLICATE_COOLDOWN_MS };
+    }
+    return null;
   }
 
-  const { codeVerifier } = storedAuth;
+  // Get currently playing track ID
+  async function getCurrentlyPlayingTrackId() {
+    try {
+      const data = await fetchPlaybackState();
+      return data?.item?.id || null;
+    } catch (err) {
+      console.error('Error getting currently playing track:', err);
+      return null;
+    }
+  }
 
-  // Clean up used state
-  oauthStateStore.delete(state);
+  // Switch to the scheduled vibe when a new entry starts, easing the ranges in
+  // over the entry's easeMinutes when both vibes use fixed ranges
+  function applyVibeSchedule(now = new Date()) {
+    if (!vibeSchedule) {
+      return;
+    }
 
-  try {
-    // Exchange code for tokens
-    const tokenResponse = await fetch('https://accounts.spotify.com/api/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Authorization': `Basic ${Buffer.from(`${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`).toString('base64')}`,
-      },
-      body: new URLSearchParams({
-        grant_type: 'authorization_code',
-        code,
-        redirect_uri: process.env.SPOTIFY_REDIRECT_URI,
-        code_verifier: codeVerifier,
-      }),
-    });
+    const active = getActiveEntry(vibeSchedule.entries, vibeSchedule.timeZone, now);
+    if (active.index !== scheduleActiveIndex) {
+      scheduleActiveIndex = active.index;
+      const entry = vibeSchedule.entries[active.index];
+      const target = buildVibe(entry.preset, entry.customSettings);
+      const endsAt = active.startedAt.getTime() + (entry.easeMinutes || 0) * 60 * 1000;
+
+      if (endsAt > now.getTime() && canInterpolate(currentVibe.settings, target.settings)) {
+        vibeTransition = { from: currentVibe.settings, to: target, startedAt: active.startedAt.getTime(), endsAt };
+        console.log(`Scheduled vibe: easing into ${target.settings.name} until ${new Date(endsAt).toISOString()}`);
+      } else {
+        vibeTransition = null;
+        currentVibe = target;
+        console.log(`Scheduled vibe: ${target.settings.name}`);
+      }
+    }
 
-    if (!tokenResponse.ok) {
-      const errorData = await tokenResponse.json();
-      console.error('Token exchange failed:', errorData);
-      return res.redirect(`${frontendUrl}?error=token_exchange_failed`);
+    if (vibeTransition) {
+      const { from, to, startedAt, endsAt } = vibeTransition;
+      const progress = (now.getTime() - startedAt) / (endsAt - startedAt);
+      if (progress >= 1) {
+        currentVibe = to;
+        vibeTransition = null;
+      } else {
+        currentVibe = { preset: to.preset, settings: interpolateSettings(from, to.settings, progress) };
+      }
     }
+  }
 
-    const tokenData = await tokenResponse.json();
+  // Energy arc with where it is right now, for GET /api/vibe
+  function getArcStatus() {
+    return energyArc && { ...energyArc, target: getArcTarget(energyArc.points, energyArc.timeZone) };
+  }
 
-    // Store tokens
-    hostTokens = {
-      accessToken: tokenData.access_token,
-      refreshToken: tokenData.refresh_token,
-      expiresAt: Date.now() + tokenData.expires_in * 1000,
+  // Schedule summary for GET /api/vibe
+  function getScheduleStatus(now = new Date()) {
+    if (!vibeSchedule) {
+      return null;
+    }
+    return {
+      timeZone: vibeSchedule.timeZone,
+      entries: vibeSchedule.entries,
+      activeIndex: scheduleActiveIndex,
+      transition: vibeTransition ? {
+        to: vibeTransition.to.preset,
+        startedAt: new Date(vibeTransition.startedAt).toISOString(),
+        endsAt: new Date(vibeTransition.endsAt).toISOString(),
+        progress: Math.min(1, (now.getTime() - vibeTransition.startedAt) / (vibeTransition.endsAt - vibeTransition.startedAt)),
+      } : null,
+      upcoming: getUpcomingTransitions(vibeSchedule.entries, vibeSchedule.timeZone, now).map(({ entry, at }) => ({
+        at: at.toISOString(),
+        time: entry.at,
+        preset: entry.preset,
+        name: VIBE_PRESETS[entry.preset].name,
+        easeMinutes: entry.easeMinutes,
+      })),
     };
-
-    console.log('Successfully authenticated with Spotify');
-    res.redirect(`${frontendUrl}?authenticated=true`);
-  } catch (err) {
-    console.error('OAuth callback error:', err);
-    res.redirect(`${frontendUrl}?error=server_error`);
   }
-});
 
-// GET /api/auth/status - Check authentication status
-app.get('/api/auth/status', (req, res) => {
-  const isAuthenticated = !!(hostTokens.accessToken && hostTokens.expiresAt);
-  const expiresAt = hostTokens.expiresAt;
+  // What the current vibe measures tracks against: the now-playing track's
+  // features for dynamic presets, the arc's current target for 'arc'. Returns
+  // { note } instead when there's nothing to compare with (songs are allowed).
+  async function getVibeReference() {
+    // Handle dynamic "match" mode
+    if (currentVibe.settings.dynamic) {
+      const nowPlayingId = await getCurrentlyPlayingTrackId();
+      if (!nowPlayingId) {
+        // Nothing playing, allow the song
+        return { note: 'Nothing currently playing' };
+      }
 
-  res.json({
-    authenticated: isAuthenticated,
-    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
-  });
-});
+      const referenceFeatures = await getAudioFeatures(nowPlayingId);
+      if (!referenceFeatures) {
+        // Can't get reference features, allow the song
+        return { note: 'Could not get reference track features' };
+      }
+      return { referenceFeatures };
+    }
 
-// POST /api/auth/logout - Clear tokens
-app.post('/api/auth/logout', (req, res) => {
-  hostTokens = { accessToken: null, refreshToken: null, expiresAt: null };
-  res.json({ success: true, message: 'Logged out successfully' });
-});
+    if (currentVibe.settings.arc) {
+      const arcTarget = energyArc ? getArcTarget(energyArc.points, energyArc.timeZone) : null;
+      return arcTarget ? { arcTarget } : { note: 'No energy arc set' };
+    }
 
-// =============================================================================
-// SPOTIFY API ROUTES
-// =============================================================================
+    return {};
+  }
 
-// GET /api/now-playing - Get currently playing track
-app.get('/api/now-playing', async (req, res) => {
-  try {
-    const response = await spotifyFetch('/me/player/currently-playing');
+  // `reference` (from getVibeReference) lets batch checks look now-playing up once
+  async function checkVibeMatch(audioFeatures, reference = null) {
+    if (!currentVibe.settings.enabled) {
+      return { matches: true, reason: null };
+    }
 
-    if (response.status === 204) {
-      return res.json({ playing: false, track: null });
+    const { referenceFeatures = null, arcTarget = null, note } = reference || await getVibeReference();
+    if (note) {
+      return { matches: true, reason: null, note };
     }
 
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      return res.status(response.status).json({
-        error: 'Failed to get currently playing track',
-        details: error,
-      });
+    let thresholds;
+    if (referenceFeatures) {
+      // Build thresholds dynamically from now-playing track
+      thresholds = thresholdsAround(referenceFeatures, currentVibe.settings.tolerance);
+    } else if (arcTarget) {
+      // Center the window on where the host's arc is right now
+      thresholds = thresholdsAround(arcTarget, currentVibe.settings.tolerance);
+    } else {
+      // Use preset thresholds
+      thresholds = {
+        energy: currentVibe.settings.energy,
+        valence: currentVibe.settings.valence,
+        tempo: currentVibe.settings.tempo,
+        danceability: currentVibe.settings.danceability,
+      };
     }
 
-    const data = await response.json();
+    const mismatches = [];
 
-    if (!data || !data.item) {
-      return res.json({ playing: false, track: null });
+    // Harmonic mixing: the key has to sit next to now-playing on the Camelot
+    // wheel. Tracks without a known key are let through.
+    const harmonic = currentVibe.settings.harmonic && referenceFeatures
+      ? checkHarmonicMatch(audioFeatures, referenceFeatures)
+      : null;
+    if (harmonic && !harmonic.compatible) {
+      mismatches.push(harmonic.reason);
     }
 
-    res.json({
-      playing: data.is_playing,
-      track: {
-        id: data.item.id,
-        name: data.item.name,
-        artists: data.item.artists.map(a => ({ id: a.id, name: a.name })),
-        album: {
-          id: data.item.album.id,
-          name: data.item.album.name,
-          images: data.item.album.images,
-        },
-        duration_ms: data.item.duration_ms,
-        progress_ms: data.progress_ms,
-        uri: data.item.uri,
-      },
-    });
-  } catch (err) {
-    console.error('Error getting currently playing:', err);
-    if (err.message === 'Not authenticated') {
-      return res.status(401).json({ error: 'Not authenticated' });
+    if (thresholds.energy && (audioFeatures.energy < thresholds.energy.min || audioFeatures.energy > thresholds.energy.max)) {
+      const level = audioFeatures.energy < thresholds.energy.min ? 'too mellow' : 'too intense';
+      mismatches.push(`Energy is ${level}`);
     }
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
 
-// GET /api/queue - Get upcoming queue
-app.get('/api/queue', async (req, res) => {
-  try {
-    const response = await spotifyFetch('/me/player/queue');
+    if (thresholds.valence && (audioFeatures.valence < thresholds.valence.min || audioFeatures.valence > thresholds.valence.max)) {
+      const level = audioFeatures.valence < thresholds.valence.min ? 'too sad' : 'too upbeat';
+      mismatches.push(`Mood is ${level}`);
+    }
 
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      return res.status(response.status).json({
-        error: 'Failed to get queue',
-        details: error,
-      });
+    if (thresholds.tempo && !tempoInRange(audioFeatures.tempo, thresholds.tempo, currentVibe.settings.halfDoubleTime)) {
+      const level = audioFeatures.tempo < thresholds.tempo.min ? 'too slow' : 'too fast';
+      mismatches.push(`Tempo is ${level}`);
     }
 
-    const data = await response.json();
+    if (thresholds.danceability && (audioFeatures.danceability < thresholds.danceability.min || audioFeatures.danceability > thresholds.danceability.max)) {
+      const level = audioFeatures.danceability < thresholds.danceability.min ? 'not danceable enough' : 'too dancey';
+      mismatches.push(`Track is ${level}`);
+    }
 
-    // Limit to max 20 tracks
-    const queue = (data.queue || []).slice(0, 20).map(track => ({
-      id: track.id,
-      name: track.name,
-      artists: track.artists.map(a => ({ id: a.id, name: a.name })),
-      album: {
-        id: track.album.id,
-        name: track.album.name,
-        images: track.album.images,
-      },
-      duration_ms: track.duration_ms,
-      uri: track.uri,
-    }));
+    if (mismatches.length > 0) {
+      return {
+        matches: false,
+        reason: mismatches[0], // Return first mismatch as primary reason
+        allReasons: mismatches,
+        audioFeatures: {
+          energy: audioFeatures.energy,
+          valence: audioFeatures.valence,
+          tempo: audioFeatures.tempo,
+          danceability: audioFeatures.danceability,
+        },
+        referenceFeatures: referenceFeatures ? {
+          energy: referenceFeatures.energy,
+          valence: referenceFeatures.valence,
+          tempo: referenceFeatures.tempo,
+          danceability: referenceFeatures.danceability,
+        } : null,
+        thresholds,
+        harmonic,
+        arcTarget,
+      };
+    }
 
-    const currentlyPlaying = data.currently_playing ? {
-      id: data.currently_playing.id,
-      name: data.currently_playing.name,
-      artists: data.currently_playing.artists.map(a => ({ id: a.id, name: a.name })),
-      album: {
-        id: data.currently_playing.album.id,
-        name: data.currently_playing.album.name,
-        images: data.currently_playing.album.images,
-      },
-      duration_ms: data.currently_playing.duration_ms,
-      uri: data.currently_playing.uri,
-    } : null;
+    return { matches: true, reason: null, harmonic, thresholds, arcTarget };
+  }
 
-    res.json({
+  // Genres of each of a track's artists (Spotify tags artists, not tracks).
+  // Cached per artist through the response cache.
+  async function getArtistGenres(artists) {
+    return Promise.all(artists.map(async artist => {
+      const response = await spotifyGet(`/artists/${artist.id}`, CACHE_TTL_MS.artist);
+      return { name: artist.name, genres: response.ok ? response.data?.genres || [] : [] };
+    }));
+  }
+
+  function hasGenreRules() {
+    return genreRules.allow.length > 0 || genreRules.block.length > 0;
+  }
+
+  // Check a track's artists against the genre rules
+  async function checkGenreRules(artists) {
+    if (!hasGenreRules()) {
+      return { matches: true, reason: null };
+    }
+
+    const artistGenres = await getArtistGenres(artists);
+    const genres = [...new Set(artistGenres.flatMap(artist => artist.genres))];
+
+    for (const artist of artistGenres) {
+      for (const genre of artist.genres) {
+        const term = genreRules.block.find(blocked => genre.toLowerCase().includes(blocked));
+        if (term) {
+          return {
+            matches: false,
+            reason: `No ${term} tonight (${artist.name} is ${genre})`,
+            genres,
+            rule: { type: 'block', term },
+          };
+        }
+      }
+    }
+
+    if (genreRules.allow.length > 0) {
+      if (genres.length === 0) {
+        if (genreRules.allowUnknown) {
+          return { matches: true, reason: null, genres, note: 'No genre information for this artist' };
+        }
+        return {
+          matches: false,
+          reason: `Tonight is ${genreRules.allow.join(' / ')} only, and Spotify has no genres for this artist`,
+          genres,
+          rule: { type: 'allow', terms: genreRules.allow, allowUnknown: false },
+        };
+      }
+      const allowed = genres.some(genre => genreRules.allow.some(term => genre.toLowerCase().includes(term)));
+      if (!allowed) {
+        return {
+          matches: false,
+          reason: `Tonight is ${genreRules.allow.join(' / ')} only`,
+          genres,
+          rule: { type: 'allow', terms: genreRules.allow },
+        };
+      }
+    }
+
+    return { matches: true, reason: null, genres };
+  }
+
+  // Everything POST /queue holds a song to apart from duplicates and rate
+  // limits: the blocklist, explicit filter, admission and genre rules, then the
+  // vibe. The vibe previews use this so "Fits" means the queue will take it.
+  // `reference` (from getVibeReference) lets batch checks look now-playing up once.
+  async function checkTrackFit(trackId, reference = null) {
+    const hasTrackRules = blocklist.list().length > 0 || explicitFilter.enabled
+      || admissionRules.list().some(rule => rule.enabled) || hasGenreRules();
+
+    // These apply even with the vibe filter off
+    if (hasTrackRules) {
+      const trackResponse = await spotifyGet(`/tracks/${trackId}`, CACHE_TTL_MS.track);
+      if (trackResponse.ok) {
+        const track = trackResponse.data;
+        if (blocklist.match(track)) {
+          return { matches: false, blocked: true, reason: blocklist.message };
+        }
+        if (explicitFilter.enabled && track.explicit) {
+          return { matches: false, explicit: true, reason: 'Explicit songs are off for this party' };
+        }
+        const admission = admissionRules.evaluate(track, admissionContext);
+        if (admission) {
+          return { matches: false, reason: admission.reason, admissionCode: admission.code, rule: admission.rule };
+        }
+        const genreCheck = await checkGenreRules(track.artists);
+        if (!genreCheck.matches) {
+          return {
+            matches: false,
+            reason: genreCheck.reason,
+            allReasons: [genreCheck.reason],
+            genres: genreCheck.genres,
+            genreRule: genreCheck.rule,
+          };
+        }
+      }
+    }
+
+    if (!currentVibe.settings.enabled) {
+      return { matches: true, reason: null };
+    }
+
+    const audioFeatures = await getAudioFeatures(trackId);
+    if (!audioFeatures) {
+      return { matches: true, note: 'No audio features for this song' };
+    }
+
+    return { ...await checkVibeMatch(audioFeatures, reference), features: audioFeatures };
+  }
+
+  // Spotify API helper
+  async function spotifyFetch(endpoint, options = {}) {
+    // Check if we need to refresh the token
+    if (hostTokens.expiresAt && Date.now() >= hostTokens.expiresAt - 60000) {
+      await refreshAccessToken();
+    }
+
+    if (!hostTokens.accessToken) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(`${SPOTIFY_API_URL}${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${hostTokens.accessToken}`,
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    });
+
+    if (response.status === 401) {
+      // Token expired, try to refresh
+      await refreshAccessToken();
+      // Retry the request
+      return fetch(`${SPOTIFY_API_URL}${endpoint}`, {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${hostTokens.accessToken}`,
+          'Content-Type': 'application/json',
+          ...options.headers,
+        },
+      });
+    }
+
+    return response;
+  }
+
+  // Refresh access token
+  async function refreshAccessToken() {
+    if (!hostTokens.refreshToken) {
+      throw new Error('No refresh token available');
+    }
+
+    const response = await fetch(`${SPOTIFY_ACCOUNTS_URL}/api/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${Buffer.from(`${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`).toString('base64')}`,
+      },
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: hostTokens.refreshToken,
+      }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      console.error('Failed to refresh token:', error);
+      await setHostTokens(EMPTY_TOKENS);
+      throw new Error('Failed to refresh token');
+    }
+
+    const data = await response.json();
+    await setHostTokens({
+      ...hostTokens,
+      accessToken: data.access_token,
+      // Spotify only sometimes rotates the refresh token
+      refreshToken: data.refresh_token || hostTokens.refreshToken,
+      expiresAt: Date.now() + data.expires_in * 1000,
+    });
+
+    console.log('Access token refreshed successfully');
+  }
+
+  // Cached GET against the Spotify API. Resolves to { status, ok, data } with the
+  // body already parsed; only successful responses are cached, but identical
+  // concurrent calls always share one request.
+  function spotifyGet(endpoint, ttlMs) {
+    return spotifyCache.get(endpoint, ttlMs, async () => {
+      const response = await spotifyFetch(endpoint);
+      const data = response.status === 204 ? null : await response.json().catch(() => null);
+      return { status: response.status, ok: response.ok, data };
+    }, result => result.ok);
+  }
+
+  // Everything the rate limiter needs to know about a request's guest. Overrides
+  // only apply to recognised devices; pending counts devices without a cookie
+  // by their IP's id.
+  function getRateLimitContext(req) {
+    return {
+      key: getRateLimitKey(req),
+      ipKey: `ip-total:${getClientIp(req)}`,
+      guestId: req.guestIdVerified ? req.guestId : null,
+      pending: pendingQueue.filter(request => request.guestId === req.guestId).length,
+    };
+  }
+
+  // Rate limiting middleware for queue additions
+  function checkRateLimit(req, res, next) {
+    const now = Date.now();
+    const context = getRateLimitContext(req);
+    const limited = rateLimiter.check({ ...context, now });
+
+    if (!limited.allowed) {
+      const uri = typeof req.body?.uri === 'string' ? req.body.uri : null;
+      recordRequest(req, {
+        outcome: 'rate_limited',
+        reason: limited.reason,
+        trackId: uri?.replace('spotify:track:', '') || null,
+        uri,
+      });
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        reason: limited.reason,
+        message: limited.retryAt
+          ? `${limited.message} Try again in ${describeWait(limited.retryAt, now)}.`
+          : limited.message,
+        resetAt: limited.retryAt ? new Date(limited.retryAt).toISOString() : null,
+        remaining: 0,
+      });
+    }
+
+    // Counted against the buckets only once the song is actually accepted
+    req.rateLimit = context;
+    next();
+  }
+
+  // Host-only middleware - the host session is granted when the party is
+  // created, at the end of the Spotify OAuth flow or with the party's host PIN
+  function requireHost(req, res, next) {
+    if (isPartyHost(req, code)) {
+      return next();
+    }
+    res.status(401).json({
+      error: 'host_auth_required',
+      message: 'Only the host can do this. Log in with Spotify or the host PIN first.',
+    });
+  }
+
+  // Count a successful queue addition against the requester's rate limit
+  function consumeRateLimit(req) {
+    const { remaining, resetAt } = rateLimiter.consume(req.rateLimit);
+    return { remaining, resetAt };
+  }
+
+  // Format a currently-playing payload (the GET /api/now-playing response)
+  function formatNowPlaying(data) {
+    if (!data || !data.item) {
+      return { playing: false, track: null };
+    }
+
+    return {
+      playing: data.is_playing,
+      track: {
+        ...formatTrack(data.item),
+        progress_ms: data.progress_ms,
+        requestedBy: getRequestedBy(data.item.id),
+      },
+    };
+  }
+
+  // Who asked for a track: their nickname, 'Guest' if they never set one, or
+  // null for songs that came from the host's playlist
+  function requesterName(guestId) {
+    return guestId ? guestNicknames.get(guestId) || 'Guest' : null;
+  }
+
+  function getRequestedBy(trackId) {
+    const guestId = handoffRequesters.get(trackId)
+      || (nowPlayingRequester?.trackId === trackId ? nowPlayingRequester.guestId : null);
+    return requesterName(guestId);
+  }
+
+  // Format Spotify's queue merged with our pending queue (the GET /api/queue response)
+  function formatQueue(data) {
+    // Spotify returns max 20 tracks
+    const spotifyQueue = (data.queue || []).slice(0, 20)
+      .map(track => ({ ...formatTrack(track), requestedBy: getRequestedBy(track.id) }));
+    const currentlyPlaying = data.currently_playing ? formatTrack(data.currently_playing) : null;
+    const queue = mergeQueues(spotifyQueue);
+
+    return {
       currentlyPlaying,
       queue,
       total: queue.length,
+      pending: pendingQueue.length,
+    };
+  }
+
+  // ===========================================================================
+  // FAIR QUEUE
+  // ===========================================================================
+
+  // Net vote score of a pending request
+  function getScore(request) {
+    let score = 0;
+    for (const vote of request.votes.values()) {
+      score += vote;
+    }
+    return score;
+  }
+
+  // Order pending requests: highest vote score first. Ties fall back to fair
+  // round-robin across guests (each guest's nth request belongs to round n,
+  // and whoever was served least recently goes first within a round), then to
+  // submission time. Ties deliberately don't go straight to submission time:
+  // until someone votes every request is tied, and that would hand the whole
+  // queue to whoever adds songs fastest.
+  function orderPendingQueue() {
+    const rounds = new Map();
+    const requestsPerGuest = new Map();
+    for (const request of [...pendingQueue].sort((a, b) => a.addedAt - b.addedAt)) {
+      const round = requestsPerGuest.get(request.guestId) || 0;
+      requestsPerGuest.set(request.guestId, round + 1);
+      rounds.set(request.id, round);
+    }
+
+    return [...pendingQueue].sort((a, b) =>
+      getScore(b) - getScore(a)
+      || rounds.get(a.id) - rounds.get(b.id)
+      || (guestLastServed.get(a.guestId) || 0) - (guestLastServed.get(b.guestId) || 0)
+      || a.addedAt - b.addedAt
+    );
+  }
+
+  // Send a track straight to Spotify's queue
+  async function handOffToSpotify(uri) {
+    const response = await spotifyFetch(`/me/player/queue?uri=${encodeURIComponent(uri)}`, {
+      method: 'POST',
     });
-  } catch (err) {
-    console.error('Error getting queue:', err);
-    if (err.message === 'Not authenticated') {
-      return res.status(401).json({ error: 'Not authenticated' });
+    if (response.ok) {
+      spotifyCache.invalidate('/me/player/queue');
+    }
+    return response;
+  }
+
+  // The feedQueue run in progress, if any. The poller and POST /queue both feed
+  // the queue; two runs at once could hand off two tracks during the same song.
+  let feeding = null;
+
+  // Hand the next pending request to Spotify once the current track nears its end.
+  // Only one track is handed off per playing track, so Spotify's own queue never
+  // holds more than one of our requests at a time.
+  function feedQueue(playback) {
+    feeding ??= handOffNext(playback).finally(() => {
+      feeding = null;
+    });
+    return feeding;
+  }
+
+  async function handOffNext(playback) {
+    if (pendingQueue.length === 0) {
+      return;
+    }
+
+    const state = playback === undefined ? await fetchPlaybackState() : playback;
+    if (!state?.item) {
+      return;
+    }
+
+    const remainingMs = state.item.duration_ms - (state.progress_ms || 0);
+    if (remainingMs > HANDOFF_THRESHOLD_MS) {
+      return;
+    }
+    if (lastHandoff && lastHandoff.duringTrackId === state.item.id) {
+      return;
+    }
+
+    const [next] = orderPendingQueue();
+    pendingQueue = pendingQueue.filter(r => r.id !== next.id);
+
+    let response;
+    try {
+      response = await handOffToSpotify(next.uri);
+    } catch (err) {
+      // Network error or failed token refresh - don't lose the guest's request
+      pendingQueue.push(next);
+      throw err;
+    }
+    if (!response.ok) {
+      // Put it back and try again on the next tick
+      pendingQueue.push(next);
+      console.error(`Failed to hand off ${next.uri} to Spotify: ${response.status}`);
+      return;
+    }
+
+    guestLastServed.set(next.guestId, Date.now());
+    handoffRequesters.set(next.trackId, next.guestId);
+    lastHandoff = {
+      uri: next.uri,
+      requestId: next.id,
+      guestId: next.guestId,
+      duringTrackId: state.item.id,
+      at: Date.now(),
+    };
+    console.log(`Handed off "${next.track.name}" to Spotify`);
+  }
+
+  // Merge the server's pending queue into Spotify's queue in actual play order:
+  // anything up to and including our last handoff plays first, then our pending
+  // requests, then the rest of Spotify's queue (playlist/album context).
+  function mergeQueues(spotifyQueue) {
+    const pending = orderPendingQueue().map(request => ({
+      ...request.track,
+      pending: true,
+      requestId: request.id,
+      score: getScore(request),
+      requestedBy: requesterName(request.guestId),
+    }));
+
+    const handoffIndex = lastHandoff
+      ? spotifyQueue.findIndex(track => track.uri === lastHandoff.uri)
+      : -1;
+
+    return [
+      ...spotifyQueue.slice(0, handoffIndex + 1),
+      ...pending,
+      ...spotifyQueue.slice(handoffIndex + 1),
+    ];
+  }
+
+  // ===========================================================================
+  // PARTY HISTORY
+  // ===========================================================================
+
+  // Log a queue attempt. `track` is the formatted track when we got as far as
+  // looking it up; vibePassed is null when the vibe wasn't checked.
+  function recordRequest(req, { outcome, reason = null, trackId, uri, track = null, vibePassed = null }) {
+    partyHistory.append({
+      type: 'request',
+      outcome,
+      reason,
+      trackId,
+      uri,
+      name: track?.name || null,
+      artists: track?.artists.map(a => a.name) || null,
+      guestId: req.guestId,
+      nickname: guestNicknames.get(req.guestId) || null,
+      vibe: { preset: currentVibe.preset, passed: vibePassed },
+    });
+  }
+
+  // Log the now-playing track once when it starts
+  function recordPlayed(playback) {
+    const item = playback?.item;
+    if (!item?.id || item.id === lastPlayedTrackId) {
+      return;
+    }
+    lastPlayedTrackId = item.id;
+
+    const guestId = handoffRequesters.get(item.id) || null;
+    handoffRequesters.delete(item.id);
+    nowPlayingRequester = guestId ? { trackId: item.id, guestId } : null;
+
+    partyHistory.append({
+      type: 'played',
+      trackId: item.id,
+      uri: item.uri,
+      name: item.name,
+      artists: item.artists.map(a => a.name),
+      durationMs: item.duration_ms,
+      guestId,
+      nickname: guestId ? guestNicknames.get(guestId) || null : null,
+    });
+  }
+
+  // Accepted requests for an artist since `since`, for the artist_per_hour rule
+  function countArtistRequests(artist, since) {
+    let count = 0;
+    const entries = partyHistory.entries();
+    for (let i = entries.length - 1; i >= 0 && new Date(entries[i].at).getTime() >= since; i--) {
+      const entry = entries[i];
+      if (entry.type === 'request' && entry.outcome === 'accepted' && entry.artists?.includes(artist.name)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // ===========================================================================
+  // REAL-TIME EVENTS
+  // ===========================================================================
+
+  // Write one SSE message to a client
+  function sendEvent(client, event, data) {
+    client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Send an event to every connected client
+  function broadcast(event, data) {
+    lastEvents[event] = data;
+    for (const client of eventClients) {
+      sendEvent(client, event, data);
+    }
+  }
+
+  let lastQueueRefresh = 0;
+  let lastBroadcastPlayback = null; // { trackId, playing, progressMs, at }
+
+  // Refresh the merged queue and broadcast it if it changed
+  async function refreshQueue() {
+    lastQueueRefresh = Date.now();
+    const response = await spotifyGet('/me/player/queue', CACHE_TTL_MS.queue);
+    if (!response.ok) {
+      return;
+    }
+
+    const queue = formatQueue(response.data);
+    if (JSON.stringify(queue) !== JSON.stringify(lastEvents.queue)) {
+      broadcast('queue', queue);
+    }
+  }
+
+  // Tell the poller the queue changed (e.g. a guest added a song) so clients
+  // hear about it without waiting for the next refresh
+  function notifyQueueChanged() {
+    if (eventClients.size === 0) {
+      return;
+    }
+    refreshQueue().catch(err => console.error('Queue refresh error:', err.message));
+  }
+
+  // A track change, play/pause or seek is worth broadcasting; normal progress
+  // isn't, since clients advance the progress bar themselves between events
+  function playbackChanged(nowPlaying) {
+    const previous = lastBroadcastPlayback;
+    if (!previous) {
+      return true;
+    }
+    if (previous.trackId !== (nowPlaying.track?.id || null) || previous.playing !== nowPlaying.playing) {
+      return true;
+    }
+    if (!nowPlaying.track) {
+      return false;
+    }
+    const expectedProgress = previous.progressMs + (nowPlaying.playing ? Date.now() - previous.at : 0);
+    return Math.abs(expectedProgress - nowPlaying.track.progress_ms) > 3000;
+  }
+
+  // One poll: read playback, feed the pending queue, and broadcast changes
+  async function pollPlayback() {
+    const response = await spotifyGet('/me/player/currently-playing', CACHE_TTL_MS.nowPlaying);
+    if (!response.ok) {
+      return;
+    }
+
+    const playback = response.data;
+    rememberPlaying(playback);
+    recordPlayed(playback);
+    await feedQueue(playback?.item ? playback : null);
+
+    const nowPlaying = formatNowPlaying(playback);
+    const trackChanged = (lastBroadcastPlayback?.trackId || null) !== (nowPlaying.track?.id || null);
+
+    if (playbackChanged(nowPlaying)) {
+      lastBroadcastPlayback = {
+        trackId: nowPlaying.track?.id || null,
+        playing: nowPlaying.playing,
+        progressMs: nowPlaying.track?.progress_ms || 0,
+        at: Date.now(),
+      };
+      broadcast('now-playing', nowPlaying);
+    }
+
+    if (eventClients.size > 0 && (trackChanged || Date.now() - lastQueueRefresh >= QUEUE_REFRESH_INTERVAL_MS)) {
+      await refreshQueue();
+    }
+  }
+
+  // Single server-side poller. Runs while anyone is listening or requests are
+  // waiting to be handed to Spotify.
+  let pollerInterval = null;
+
+  function startPlaybackPoller() {
+    let polling = false;
+
+    pollerInterval = setInterval(async () => {
+      if (polling || !hostTokens.accessToken) {
+        return;
+      }
+      if (eventClients.size === 0 && pendingQueue.length === 0) {
+        // Nobody is watching - force a fresh broadcast when someone reconnects
+        lastBroadcastPlayback = null;
+        return;
+      }
+
+      polling = true;
+      try {
+        await pollPlayback();
+      } catch (err) {
+        console.error('Playback poller error:', err.message);
+      } finally {
+        polling = false;
+      }
+    }, PLAYBACK_POLL_INTERVAL_MS);
+  }
+
+  // ===========================================================================
+  // AUTH ROUTES
+  // ===========================================================================
+
+  // GET /api/auth/login - Redirect to Spotify OAuth
+  router.get('/auth/login', (req, res) => {
+    const codeVerifier = generateCodeVerifier();
+    const codeChallenge = generateCodeChallenge(codeVerifier);
+    const state = generateState();
+
+    // Where to send the host after login (e.g. /p/ABC123/host); only same-site paths
+    const { returnTo } = req.query;
+    const safeReturnTo = typeof returnTo === 'string' && /^\/(?!\/)/.test(returnTo) ? returnTo : `/p/${code}`;
+
+    // Store in memory (more reliable than session on Render free tier). The
+    // callback is shared by every party, so remember which one this is for.
+    oauthStateStore.set(state, { codeVerifier, partyCode: code, returnTo: safeReturnTo, createdAt: Date.now() });
+
+    // Clean up old states (older than 10 minutes)
+    const TEN_MINUTES = 10 * 60 * 1000;
+    for (const [key, value] of oauthStateStore.entries()) {
+      if (Date.now() - value.createdAt > TEN_MINUTES) {
+        oauthStateStore.delete(key);
+      }
+    }
+
+    const scopes = [
+      'user-read-playback-state',
+      'user-modify-playback-state',
+      'user-read-currently-playing',
+      // Saving the party as a playlist
+      'playlist-modify-private',
+      'playlist-modify-public',
+    ].join(' ');
+
+    const authUrl = new URL(`${SPOTIFY_ACCOUNTS_URL}/authorize`);
+    authUrl.searchParams.set('client_id', process.env.SPOTIFY_CLIENT_ID);
+    authUrl.searchParams.set('response_type', 'code');
+    authUrl.searchParams.set('redirect_uri', process.env.SPOTIFY_REDIRECT_URI);
+    authUrl.searchParams.set('scope', scopes);
+    authUrl.searchParams.set('state', state);
+    authUrl.searchParams.set('code_challenge_method', 'S256');
+    authUrl.searchParams.set('code_challenge', codeChallenge);
+
+    res.redirect(authUrl.toString());
+  });
+
+  // GET /api/auth/status - Check authentication status
+  router.get('/auth/status', (req, res) => {
+    const isAuthenticated = !!(hostTokens.accessToken && hostTokens.expiresAt);
+    const expiresAt = hostTokens.expiresAt;
+
+    res.json({
+      authenticated: isAuthenticated,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      isHost: isPartyHost(req, code),
+      // Only shown to the host, to pass on to their other devices
+      hostPin: isPartyHost(req, code) ? hostPin : null,
+      code,
+    });
+  });
+
+  // POST /api/auth/pin - Become host with the party's host PIN (fallback when
+  // the host is on a different device than the one that started the party)
+  router.post('/auth/pin', (req, res) => {
+    const { pin } = req.body;
+    if (!pin) {
+      return res.status(400).json({ error: 'Missing "pin" in request body' });
+    }
+
+    const ip = getClientIp(req);
+    const now = Date.now();
+    let attempts = pinAttemptStore.get(ip);
+    if (!attempts || now - attempts.windowStart >= PIN_ATTEMPT_WINDOW_MS) {
+      attempts = { count: 0, windowStart: now };
+    }
+
+    if (attempts.count >= PIN_MAX_ATTEMPTS) {
+      return res.status(429).json({
+        error: 'Too many attempts',
+        message: 'Too many wrong PINs. Try again later.',
+        resetAt: new Date(attempts.windowStart + PIN_ATTEMPT_WINDOW_MS).toISOString(),
+      });
+    }
+
+    if (!pinMatches(pin, hostPin)) {
+      attempts.count++;
+      pinAttemptStore.set(ip, attempts);
+      return res.status(403).json({ error: 'invalid_pin', message: 'Wrong host PIN' });
+    }
+
+    pinAttemptStore.delete(ip);
+    grantHost(req, code);
+    req.session.save(() => {
+      res.json({ success: true, isHost: true });
+    });
+  });
+
+  // POST /api/auth/logout - Clear tokens (Host only). The browser stays the
+  // party's host, so it can connect Spotify again.
+  router.post('/auth/logout', requireHost, async (req, res) => {
+    await setHostTokens(EMPTY_TOKENS);
+    res.json({ success: true, message: 'Logged out successfully' });
+  });
+
+  // ===========================================================================
+  // SPOTIFY API ROUTES
+  // ===========================================================================
+
+  // GET /api/now-playing - Get currently playing track
+  router.get('/now-playing', async (req, res) => {
+    try {
+      const response = await spotifyGet('/me/player/currently-playing', CACHE_TTL_MS.nowPlaying);
+
+      if (response.status === 204) {
+        return res.json({ playing: false, track: null });
+      }
+
+      if (!response.ok) {
+        return res.status(response.status).json({
+          error: 'Failed to get currently playing track',
+          details: response.data || {},
+        });
+      }
+
+      rememberPlaying(response.data);
+      res.json(formatNowPlaying(response.data));
+    } catch (err) {
+      console.error('Error getting currently playing:', err);
+      if (err.message === 'Not authenticated') {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // GET /api/queue - Get upcoming queue
+  router.get('/queue', async (req, res) => {
+    try {
+      const response = await spotifyGet('/me/player/queue', CACHE_TTL_MS.queue);
+
+      if (!response.ok) {
+        return res.status(response.status).json({
+          error: 'Failed to get queue',
+          details: response.data || {},
+        });
+      }
+
+      const queue = formatQueue(response.data);
+
+      // Let the guest see how they voted on each pending request
+      const votesByRequest = new Map(pendingQueue.map(request => [request.id, request.votes]));
+      queue.queue = queue.queue.map(track => (track.pending
+        ? { ...track, myVote: votesByRequest.get(track.requestId)?.get(req.guestId) || 0 }
+        : track));
+
+      res.json(queue);
+    } catch (err) {
+      console.error('Error getting queue:', err);
+      if (err.message === 'Not authenticated') {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Record a guest's vote on a pending request. Voting the same way twice
+  // withdraws the vote.
+  function voteOnRequest(req, res, direction) {
+    const request = pendingQueue.find(r => r.id === req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        error: 'Request not found',
+        message: 'That song is no longer waiting in the queue.',
+      });
+    }
+
+    // Devices without a cookie share their IP's id, so their votes can't count
+    if (!req.guestIdVerified) {
+      return res.status(403).json({
+        error: 'cookies_required',
+        message: 'Enable cookies to vote.',
+      });
+    }
+
+    if (request.guestId === req.guestId) {
+      return res.status(403).json({
+        error: 'own_request',
+        message: "You can't vote on your own song.",
+      });
+    }
+
+    if (request.votes.get(req.guestId) === direction) {
+      request.votes.delete(req.guestId);
+    } else {
+      request.votes.set(req.guestId, direction);
+    }
+
+    notifyQueueChanged();
+
+    const position = orderPendingQueue().findIndex(r => r.id === request.id);
+
+    res.json({
+      success: true,
+      requestId: request.id,
+      myVote: request.votes.get(req.guestId) || 0,
+      score: getScore(request),
+      position: position + 1,
+    });
+  }
+
+  // POST /api/queue/:requestId/upvote - Upvote a pending request
+  router.post('/queue/:requestId/upvote', (req, res) => voteOnRequest(req, res, 1));
+
+  // POST /api/queue/:requestId/downvote - Downvote a pending request
+  router.post('/queue/:requestId/downvote', (req, res) => voteOnRequest(req, res, -1));
+
+  // GET /api/events - Server-Sent Events stream of now-playing and queue changes
+  router.get('/events', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    // Tell the browser how long to wait before reconnecting
+    res.write('retry: 5000\n\n');
+
+    // Catch the new client up with the latest state
+    for (const [event, data] of Object.entries(lastEvents)) {
+      if (data) {
+        sendEvent(res, event, data);
+      }
+    }
+
+    eventClients.add(res);
+    if (!lastEvents.queue && hostTokens.accessToken) {
+      refreshQueue().catch(err => console.error('Queue refresh error:', err.message));
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENTS_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      eventClients.delete(res);
+    });
+  });
+
+  // GET /api/search - Search Spotify catalog
+  router.get('/search', async (req, res) => {
+    const { q, type = 'track' } = req.query;
+
+    if (!q) {
+      return res.status(400).json({ error: 'Missing search query parameter "q"' });
+    }
+
+    try {
+      // Spotify API limit is now 0-10 (changed from 0-50)
+      const searchUrl = `/search?q=${encodeURIComponent(q)}&type=${type}&limit=10`;
+
+      const response = await spotifyGet(searchUrl, CACHE_TTL_MS.search);
+
+      if (!response.ok) {
+        return res.status(response.status).json({
+          error: 'Search failed',
+          details: response.data || {},
+        });
+      }
+
+      const data = response.data;
+      const queuedIds = await getQueuedTrackIds();
+
+      // Format tracks for easier frontend consumption
+      const items = (data.tracks?.items || [])
+        .filter(track => !(explicitFilter.enabled && explicitFilter.hideInSearch && track.explicit));
+      const tracks = items.map(track => ({
+        id: track.id,
+        name: track.name,
+        artists: track.artists.map(a => ({ id: a.id, name: a.name })),
+        album: {
+          id: track.album.id,
+          name: track.album.name,
+          images: track.album.images,
+        },
+        duration_ms: track.duration_ms,
+        uri: track.uri,
+        preview_url: track.preview_url,
+        explicit: !!track.explicit,
+        blocked: !!blocklist.match(track),
+        // 'queued' | 'just_played' | null - lets the UI mark tracks that would be rejected
+        queueStatus: {
+          already_queued: 'queued',
+          recently_played: 'just_played',
+        }[getDuplicateStatus(track.id, queuedIds)?.reason] || null,
+      }));
+
+      res.json({
+        tracks,
+        total: data.tracks?.total || 0,
+        // Explicit tracks can't be queued right now
+        explicitFilter: explicitFilter.enabled,
+        blockedMessage: blocklist.message,
+      });
+    } catch (err) {
+      console.error('Error searching:', err);
+      if (err.message === 'Not authenticated') {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // POST /api/queue - Add track to queue (with vibe check)
+  router.post('/queue', checkRateLimit, async (req, res) => {
+    const { uri } = req.body;
+
+    if (!uri) {
+      return res.status(400).json({ error: 'Missing track URI in request body' });
+    }
+
+    // Validate URI format
+    if (!uri.startsWith('spotify:track:')) {
+      return res.status(400).json({ error: 'Invalid track URI format. Must be spotify:track:...' });
+    }
+
+    // Extract track ID from URI
+    const trackId = uri.replace('spotify:track:', '');
+
+    // Whatever happens to the request ends up in the party history
+    let track = null;
+    let vibePassed = null;
+    const record = (outcome, reason = null) => recordRequest(req, { outcome, reason, trackId, uri, track, vibePassed });
+
+    try {
+      // Reject duplicates and songs that just played
+      const duplicate = getDuplicateStatus(trackId, await getQueuedTrackIds());
+      if (duplicate) {
+        record('rejected', duplicate.reason);
+        const cooldownMinutes = Math.round(DUPLICATE_COOLDOWN_MS / 60000);
+        return res.status(409).json({
+          error: 'duplicate',
+          message: duplicate.reason === 'already_queued'
+            ? 'This song is already in the queue'
+            : `This song played recently. Songs can be replayed after ${cooldownMinutes} minutes.`,
+          reason: duplicate.reason,
+          availableAt: duplicate.availableAt ? new Date(duplicate.availableAt).toISOString() : null,
+        });
+      }
+
+      // Look up the track for display and the genre rules
+      const trackResponse = await spotifyGet(`/tracks/${trackId}`, CACHE_TTL_MS.track);
+      if (!trackResponse.ok) {
+        record('rejected', trackResponse.status === 404 || trackResponse.status === 400 ? 'track_not_found' : 'spotify_error');
+        if (trackResponse.status === 404 || trackResponse.status === 400) {
+          return res.status(400).json({ error: 'Track not found', message: 'That track could not be found on Spotify.' });
+        }
+        return res.status(trackResponse.status).json({
+          error: 'Failed to look up track',
+          details: trackResponse.data || {},
+        });
+      }
+      track = formatTrack(trackResponse.data);
+
+      const blocked = blocklist.match(track);
+      if (blocked) {
+        record('rejected', 'blocked');
+        return res.status(403).json({
+          error: 'blocked',
+          message: blocklist.message,
+        });
+      }
+
+      if (explicitFilter.enabled && track.explicit) {
+        record('rejected', 'explicit');
+        return res.status(403).json({
+          error: 'explicit_blocked',
+          message: 'Explicit songs are off for this party. Try the clean version!',
+        });
+      }
+
+      // Host's admission rules (length, popularity, release year, artist caps)
+      const admission = admissionRules.evaluate(trackResponse.data, admissionContext);
+      if (admission) {
+        record('rejected', admission.code);
+        return res.status(403).json({
+          error: 'admission_rejected',
+          code: admission.code,
+          message: admission.reason,
+          reason: admission.reason,
+          rule: admission.rule,
+        });
+      }
+
+      // Genre rules apply whatever the vibe preset is
+      const genreCheck = await checkGenreRules(track.artists);
+      if (!genreCheck.matches) {
+        vibePassed = false;
+        record('rejected', 'vibe_mismatch');
+        return res.status(403).json({
+          error: 'vibe_mismatch',
+          message: "This song doesn't fit tonight's genres",
+          reason: genreCheck.reason,
+          allReasons: [genreCheck.reason],
+          genres: genreCheck.genres,
+          genreRule: genreCheck.rule,
+          currentVibe: currentVibe.preset,
+        });
+      }
+      if (hasGenreRules()) {
+        vibePassed = true;
+      }
+
+      // Check vibe if enabled
+      if (currentVibe.settings.enabled) {
+        const audioFeatures = await getAudioFeatures(trackId);
+
+        if (audioFeatures) {
+          const vibeCheck = await checkVibeMatch(audioFeatures);
+          vibePassed = vibeCheck.matches;
+
+          if (!vibeCheck.matches) {
+            record('rejected', 'vibe_mismatch');
+            return res.status(403).json({
+              error: 'vibe_mismatch',
+              message: `This song doesn't match the ${currentVibe.settings.name} vibe`,
+              reason: vibeCheck.reason,
+              allReasons: vibeCheck.allReasons,
+              audioFeatures: vibeCheck.audioFeatures,
+              referenceFeatures: vibeCheck.referenceFeatures,
+              harmonic: vibeCheck.harmonic,
+              currentVibe: currentVibe.preset,
+            });
+          }
+        }
+        // If we can't get audio features, allow the song (fail open) - unless
+        // a fail-closed provider errored, which throws and is handled below
+      }
+
+      const playback = await fetchPlaybackState();
+
+      if (!playback) {
+        // Nothing is playing, so there is nothing to wait for - queue it directly
+        const response = await handOffToSpotify(uri);
+
+        if (!response.ok) {
+          const error = await response.json().catch(() => ({}));
+          record('rejected', response.status === 404 ? 'no_active_device' : 'spotify_error');
+
+          // Handle common errors
+          if (response.status === 404) {
+            return res.status(404).json({
+              error: 'No active device found',
+              message: 'Please start playing something on Spotify first.',
+            });
+          }
+
+          return res.status(response.status).json({
+            error: 'Failed to add track to queue',
+            details: error,
+          });
+        }
+
+        handoffRequesters.set(trackId, req.guestId);
+        record('accepted');
+        notifyQueueChanged();
+
+        return res.json({
+          success: true,
+          message: 'Track added to queue',
+          rateLimit: consumeRateLimit(req),
+        });
+      }
+
+      // Another guest may have queued the same song while we were checking it
+      if (pendingQueue.some(r => r.trackId === trackId)) {
+        record('rejected', 'already_queued');
+        return res.status(409).json({
+          error: 'duplicate',
+          message: 'This song is already in the queue',
+          reason: 'already_queued',
+          availableAt: null,
+        });
+      }
+
+      // Hold it in the server's queue until the current track nears its end
+      const request = {
+        id: crypto.randomUUID(),
+        uri,
+        trackId,
+        track,
+        guestId: req.guestId,
+        addedAt: Date.now(),
+        votes: new Map(),
+      };
+      pendingQueue.push(request);
+      const rateLimit = consumeRateLimit(req);
+      record('accepted');
+
+      await feedQueue(playback).catch(err => console.error('Queue feeder error:', err.message));
+      notifyQueueChanged();
+
+      const position = orderPendingQueue().findIndex(r => r.id === request.id);
+
+      res.json({
+        success: true,
+        message: 'Track added to queue',
+        requestId: request.id,
+        position: position === -1 ? 0 : position + 1,
+        rateLimit,
+      });
+    } catch (err) {
+      console.error('Error adding to queue:', err);
+      record('rejected', err.failClosed ? 'vibe_check_unavailable' : 'error');
+      if (err.message === 'Not authenticated') {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+      if (err.failClosed) {
+        return res.status(503).json({
+          error: 'vibe_check_unavailable',
+          message: "Can't check songs against the vibe right now. Try again in a bit.",
+        });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // ===========================================================================
+  // VIBE API ROUTES
+  // ===========================================================================
+
+  // GET /api/vibe - Get current vibe settings
+  router.get('/vibe', (req, res) => {
+    res.json({
+      currentPreset: currentVibe.preset,
+      settings: currentVibe.settings,
+      genreRules,
+      explicitFilter,
+      schedule: getScheduleStatus(),
+      energyArc: getArcStatus(),
+      availablePresets: Object.entries(VIBE_PRESETS).map(([key, value]) => ({
+        id: key,
+        name: value.name,
+        description: value.description,
+      })),
+    });
+  });
+
+  // POST /api/vibe - Set vibe preset (Host only)
+  router.post('/vibe', requireHost, (req, res) => {
+    const { preset, customSettings } = req.body;
+
+    if (!preset || !VIBE_PRESETS[preset]) {
+      return res.status(400).json({
+        error: 'Invalid preset',
+        validPresets: Object.keys(VIBE_PRESETS)
+      });
+    }
+
+    let cleanedSettings;
+    try {
+      cleanedSettings = cleanCustomSettings(preset, customSettings);
+    } catch (err) {
+      if (err.code === 'invalid') {
+        return res.status(400).json({ error: 'Invalid vibe settings', message: err.message });
+      }
+      throw err;
+    }
+
+    currentVibe = buildVibe(preset, cleanedSettings);
+    // A manual change wins over any easing in progress (and holds until the
+    // next scheduled entry starts)
+    vibeTransition = null;
+
+    console.log(`Vibe set to: ${currentVibe.settings.name}`);
+
+    res.json({
+      success: true,
+      message: `Vibe set to ${currentVibe.settings.name}`,
+      currentPreset: currentVibe.preset,
+      settings: currentVibe.settings,
+    });
+  });
+
+  // POST /api/vibe/genres - Set genre allow/block rules (Host only)
+  // Body: { allow: ['house', 'techno'], block: ['country'], allowUnknown: false }
+  // (terms can be comma-separated strings); allowUnknown lets artists with no
+  // Spotify genres past the allowlist
+  router.post('/vibe/genres', requireHost, (req, res) => {
+    const { allow, block, allowUnknown } = req.body || {};
+
+    genreRules = {
+      allow: allow === undefined ? genreRules.allow : normalizeGenreTerms(allow),
+      block: block === undefined ? genreRules.block : normalizeGenreTerms(block),
+      allowUnknown: allowUnknown === undefined ? genreRules.allowUnknown : !!allowUnknown,
+    };
+
+    console.log(`Genre rules set: allow [${genreRules.allow.join(', ')}]${genreRules.allowUnknown ? ' (plus artists without genres)' : ''}, block [${genreRules.block.join(', ')}]`);
+
+    res.json({ success: true, genreRules });
+  });
+
+  // POST /api/vibe/explicit - Turn the explicit-content filter on or off (Host only)
+  // Body: { enabled: true, hideInSearch: false }
+  router.post('/vibe/explicit', requireHost, (req, res) => {
+    const { enabled, hideInSearch } = req.body || {};
+
+    explicitFilter = {
+      enabled: enabled === undefined ? explicitFilter.enabled : !!enabled,
+      hideInSearch: hideInSearch === undefined ? explicitFilter.hideInSearch : !!hideInSearch,
+    };
+
+    console.log(`Explicit filter ${explicitFilter.enabled ? 'on' : 'off'}${explicitFilter.hideInSearch ? ' (hidden in search)' : ''}`);
+
+    res.json({ success: true, explicitFilter });
+  });
+
+  // PUT /api/vibe/schedule - Set the vibe timeline (Host only)
+  // Body: { timeZone: 'America/New_York', entries: [{ at: '20:00', preset: 'chill' },
+  //   { at: '22:00', preset: 'party', easeMinutes: 15 }, { at: '01:00', preset: 'chill' }] }
+  router.put('/vibe/schedule', requireHost, (req, res) => {
+    const { timeZone = 'UTC', entries } = req.body || {};
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'Invalid time zone', message: `Unknown time zone "${timeZone}"` });
+    }
+    if (!Array.isArray(entries) || entries.length === 0 || entries.length > VIBE_SCHEDULE_MAX_ENTRIES) {
+      return res.status(400).json({
+        error: 'Invalid schedule',
+        message: `Provide between 1 and ${VIBE_SCHEDULE_MAX_ENTRIES} entries`,
+      });
+    }
+
+    const cleaned = [];
+    for (const entry of entries) {
+      const minutes = parseTimeOfDay(entry?.at);
+      const easeMinutes = Number(entry?.easeMinutes || 0);
+      if (minutes === null) {
+        return res.status(400).json({ error: 'Invalid schedule', message: `"${entry?.at}" is not a HH:MM time` });
+      }
+      if (!VIBE_PRESETS[entry.preset]) {
+        return res.status(400).json({
+          error: 'Invalid preset',
+          validPresets: Object.keys(VIBE_PRESETS),
+        });
+      }
+      if (!Number.isFinite(easeMinutes) || easeMinutes < 0 || easeMinutes > VIBE_EASE_MAX_MINUTES) {
+        return res.status(400).json({
+          error: 'Invalid schedule',
+          message: `easeMinutes must be between 0 and ${VIBE_EASE_MAX_MINUTES}`,
+        });
+      }
+      let customSettings;
+      try {
+        customSettings = cleanCustomSettings(entry.preset, entry.customSettings);
+      } catch (err) {
+        if (err.code === 'invalid') {
+          return res.status(400).json({ error: 'Invalid schedule', message: `${entry.at} ${entry.preset}: ${err.message}` });
+        }
+        throw err;
+      }
+      cleaned.push({
+        at: `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`,
+        preset: entry.preset,
+        customSettings,
+        easeMinutes,
+      });
+    }
+
+    vibeSchedule = { timeZone, entries: cleaned.sort((a, b) => a.at.localeCompare(b.at)) };
+    scheduleActiveIndex = null;
+    vibeTransition = null;
+    applyVibeSchedule();
+
+    console.log(`Vibe schedule set: ${cleaned.map(e => `${e.at} ${e.preset}`).join(', ')} (${timeZone})`);
+
+    res.json({
+      success: true,
+      currentPreset: currentVibe.preset,
+      settings: currentVibe.settings,
+      schedule: getScheduleStatus(),
+    });
+  });
+
+  // DELETE /api/vibe/schedule - Stop following the schedule; the current vibe stays (Host only)
+  router.delete('/vibe/schedule', requireHost, (req, res) => {
+    if (vibeTransition) {
+      // Finish the change now rather than freezing half-way
+      currentVibe = vibeTransition.to;
+    }
+    vibeSchedule = null;
+    scheduleActiveIndex = null;
+    vibeTransition = null;
+
+    res.json({ success: true, currentPreset: currentVibe.preset, settings: currentVibe.settings });
+  });
+
+  // PUT /api/vibe/arc - Set the energy curve the 'arc' preset follows (Host only)
+  // Body: { timeZone, points: [{ at: '21:00', energy: 0.4, tempo: 100 }, { at: '00:00', energy: 0.9, tempo: 128 }] }
+  // Points run in order through the night; tempo is optional.
+  router.put('/vibe/arc', requireHost, (req, res) => {
+    const { timeZone = 'UTC', points } = req.body || {};
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'Invalid time zone', message: `Unknown time zone "${timeZone}"` });
+    }
+    if (!Array.isArray(points) || points.length < 2 || points.length > ENERGY_ARC_MAX_POINTS) {
+      return res.status(400).json({
+        error: 'Invalid arc',
+        message: `Provide between 2 and ${ENERGY_ARC_MAX_POINTS} points`,
+      });
+    }
+
+    const start = parseTimeOfDay(points[0]?.at);
+    const cleaned = [];
+    let previousOffset = -1;
+    for (const point of points) {
+      const minutes = parseTimeOfDay(point?.at);
+      if (minutes === null) {
+        return res.status(400).json({ error: 'Invalid arc', message: `"${point?.at}" is not a HH:MM time` });
+      }
+      // Minutes since the first point, so the curve can run past midnight
+      const offset = (minutes - start + 24 * 60) % (24 * 60);
+      if (offset <= previousOffset) {
+        return res.status(400).json({ error: 'Invalid arc', message: 'Points must be in order through the night' });
+      }
+      previousOffset = offset;
+
+      const energy = Number(point.energy);
+      if (!Number.isFinite(energy) || energy < 0 || energy > 1) {
+        return res.status(400).json({ error: 'Invalid arc', message: 'Energy must be between 0 and 1' });
+      }
+      const cleanedPoint = {
+        at: `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`,
+        energy,
+      };
+      if (point.tempo !== undefined && point.tempo !== null && point.tempo !== '') {
+        const tempo = Number(point.tempo);
+        if (!Number.isFinite(tempo) || tempo < 40 || tempo > 220) {
+          return res.status(400).json({ error: 'Invalid arc', message: 'Tempo must be between 40 and 220 BPM' });
+        }
+        cleanedPoint.tempo = tempo;
+      }
+      cleaned.push(cleanedPoint);
+    }
+
+    energyArc = { timeZone, points: cleaned };
+    console.log(`Energy arc set: ${cleaned.map(p => `${p.at} ${p.energy}`).join(' -> ')} (${timeZone})`);
+
+    res.json({ success: true, energyArc: getArcStatus() });
+  });
+
+  // DELETE /api/vibe/arc - Clear the energy curve; the 'arc' preset lets everything through (Host only)
+  router.delete('/vibe/arc', requireHost, (req, res) => {
+    energyArc = null;
+    res.json({ success: true, energyArc: null });
+  });
+
+  // GET /api/audio-features/:trackId - Debug endpoint to test audio features API (Host only)
+  router.get('/audio-features/:trackId', requireHost, async (req, res) => {
+    const { trackId } = req.params;
+    try {
+      const response = await spotifyFetch(`/audio-features/${trackId}`);
+      const status = response.status;
+      const data = await response.json().catch(() => null);
+      res.json({ status, data, trackId });
+    } catch (err) {
+      res.status(500).json({ error: err.message, trackId });
     }
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+  });
 
-// GET /api/search - Search Spotify catalog
-app.get('/api/search', async (req, res) => {
-  const { q, type = 'track' } = req.query;
+  // GET /api/artist/:artistId - Debug endpoint to test artist/genre API (Host only)
+  router.get('/artist/:artistId', requireHost, async (req, res) => {
+    const { artistId } = req.params;
+    try {
+      const response = await spotifyFetch(`/artists/${artistId}`);
+      const status = response.status;
+      const data = await response.json().catch(() => null);
+      res.json({
+        status,
+        artistId,
+        name: data?.name,
+        genres: data?.genres || [],
+        genreCount: data?.genres?.length || 0,
+        popularity: data?.popularity
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message, artistId });
+    }
+  });
 
-  if (!q) {
-    return res.status(400).json({ error: 'Missing search query parameter "q"' });
-  }
+  // GET /api/artist/:artistId/related - Test related artists API (Host only)
+  router.get('/artist/:artistId/related', requireHost, async (req, res) => {
+    const { artistId } = req.params;
+    try {
+      const response = await spotifyFetch(`/artists/${artistId}/related-artists`);
+      const status = response.status;
+      const data = await response.json().catch(() => null);
+      res.json({
+        status,
+        artistId,
+        relatedArtists: (data?.artists || []).slice(0, 5).map(a => ({
+          id: a.id,
+          name: a.name,
+          genres: a.genres
+        }))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message, artistId });
+    }
+  });
 
-  try {
-    // Spotify API limit is now 0-10 (changed from 0-50)
-    const searchUrl = `/search?q=${encodeURIComponent(q)}&type=${type}&limit=10`;
+  // POST /api/vibe/check - Check many tracks against the vibe and the host's
+  // rules at once, so search results can show whether they fit before anyone taps "+"
+  // Body: { trackIds: ['id1', 'id2', ...] } (up to VIBE_BATCH_MAX)
+  router.post('/vibe/check', async (req, res) => {
+    try {
+      const { trackIds } = req.body || {};
+      if (!Array.isArray(trackIds) || trackIds.length > VIBE_BATCH_MAX
+        || trackIds.some(id => typeof id !== 'string' || !/^[A-Za-z0-9]+$/.test(id))) {
+        return res.status(400).json({
+          error: 'Invalid track ids',
+          message: `Send up to ${VIBE_BATCH_MAX} Spotify track ids`,
+        });
+      }
 
-    const response = await spotifyFetch(searchUrl);
+      // One now-playing lookup for the whole batch; the feature lookups below
+      // are grouped into ReccoBeats batch requests by featureBatcher
+      const reference = currentVibe.settings.enabled ? await getVibeReference() : null;
+
+      const checks = await Promise.all([...new Set(trackIds)].map(async (trackId) => {
+        const fit = await checkTrackFit(trackId, reference);
+        return [trackId, {
+          matches: fit.matches,
+          ...(fit.reason && { reason: fit.reason }),
+          ...(fit.note && { note: fit.note }),
+        }];
+      }));
+
+      res.json({
+        vibeEnabled: currentVibe.settings.enabled,
+        currentVibe: currentVibe.settings.name,
+        results: Object.fromEntries(checks),
+      });
+    } catch (err) {
+      console.error('Error batch checking vibe:', err);
+      if (err.failClosed) {
+        return res.status(503).json({ error: 'vibe_check_unavailable', message: err.message });
+      }
+      res.status(500).json({ error: 'Failed to check vibe' });
+    }
+  });
 
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      return res.status(response.status).json({
-        error: 'Search failed',
-        details: error,
+  // GET /api/vibe/check/:trackId - Check if a track matches the current vibe (for preview)
+  router.get('/vibe/check/:trackId', async (req, res) => {
+    const { trackId } = req.params;
+
+    try {
+      const fit = await checkTrackFit(trackId);
+      const vibeEnabled = currentVibe.settings.enabled;
+
+      // Turned away before the vibe was looked at, or nothing to measure
+      if (!fit.features) {
+        return res.json({ ...fit, vibeEnabled });
+      }
+
+      res.json({
+        matches: fit.matches,
+        vibeEnabled,
+        currentVibe: currentVibe.settings.name,
+        isDynamic: currentVibe.settings.dynamic || false,
+        reason: fit.reason,
+        allReasons: fit.allReasons,
+        ...(fit.note && { note: fit.note }),
+        audioFeatures: {
+          energy: fit.features.energy,
+          valence: fit.features.valence,
+          tempo: Math.round(fit.features.tempo),
+          danceability: fit.features.danceability,
+        },
+        referenceFeatures: fit.referenceFeatures,
+        harmonic: fit.harmonic || null,
+        arcTarget: fit.arcTarget || null,
+        thresholds: fit.thresholds || {
+          energy: currentVibe.settings.energy,
+          valence: currentVibe.settings.valence,
+          tempo: currentVibe.settings.tempo,
+          danceability: currentVibe.settings.danceability,
+        },
       });
+    } catch (err) {
+      console.error('Error checking vibe:', err);
+      if (err.failClosed) {
+        return res.status(503).json({ error: 'vibe_check_unavailable', message: err.message });
+      }
+      res.status(500).json({ error: 'Failed to check vibe' });
     }
+  });
 
-    const data = await response.json();
+  // GET /api/cache/stats - Spotify response cache hit/miss stats (Host only)
+  router.get('/cache/stats', requireHost, (req, res) => {
+    res.json(spotifyCache.stats());
+  });
 
-    // Format tracks for easier frontend consumption
-    const tracks = (data.tracks?.items || []).map(track => ({
-      id: track.id,
-      name: track.name,
-      artists: track.artists.map(a => ({ id: a.id, name: a.name })),
-      album: {
-        id: track.album.id,
-        name: track.album.name,
-        images: track.album.images,
-      },
-      duration_ms: track.duration_ms,
-      uri: track.uri,
-      preview_url: track.preview_url,
-    }));
+  // GET /api/rate-limit - Get rate limit status for current user: songs left,
+  // when the next one comes back, any cooldown and the policy they're under
+  router.get('/rate-limit', (req, res) => {
+    res.json(rateLimiter.status(getRateLimitContext(req)));
+  });
 
+  // GET /api/me - This device's nickname
+  router.get('/me', (req, res) => {
     res.json({
-      tracks,
-      total: data.tracks?.total || 0,
+      nickname: guestNicknames.get(req.guestId) || null,
+      canSetNickname: req.guestIdVerified,
     });
-  } catch (err) {
-    console.error('Error searching:', err);
-    if (err.message === 'Not authenticated') {
-      return res.status(401).json({ error: 'Not authenticated' });
+  });
+
+  // PUT /api/me/nickname - Set (or clear, with an empty name) this device's nickname
+  // Body: { nickname }
+  router.put('/me/nickname', (req, res) => {
+    // Fresh devices get a new id on every request, so the name wouldn't stick
+    if (!req.guestIdVerified) {
+      return res.status(403).json({
+        error: 'cookies_required',
+        message: 'Enable cookies to set a name.',
+      });
     }
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
 
-// POST /api/queue - Add track to queue (with vibe check)
-app.post('/api/queue', checkRateLimit, async (req, res) => {
-  const { uri } = req.body;
+    const nickname = String(req.body?.nickname ?? '').replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    if (nickname.length > NICKNAME_MAX_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid nickname',
+        message: `Keep it to ${NICKNAME_MAX_LENGTH} characters`,
+      });
+    }
 
-  if (!uri) {
-    return res.status(400).json({ error: 'Missing track URI in request body' });
-  }
+    if (nickname) {
+      guestNicknames.set(req.guestId, nickname);
+    } else {
+      guestNicknames.delete(req.guestId);
+    }
+    // Queue entries show the name, so everyone's view needs the update
+    notifyQueueChanged();
+
+    res.json({ success: true, nickname: nickname || null });
+  });
 
-  // Validate URI format
-  if (!uri.startsWith('spotify:track:')) {
-    return res.status(400).json({ error: 'Invalid track URI format. Must be spotify:track:...' });
+  // Guests who have asked for songs, most recent first, so the host can pick
+  // one for an override
+  function getRecentGuests(limit = 20) {
+    const guests = new Map();
+    for (const entry of partyHistory.entries().reverse()) {
+      // Devices without a cookie (ipGuestId) can't be given overrides
+      if (entry.type !== 'request' || !entry.guestId || entry.guestId.startsWith('ip-')) {
+        continue;
+      }
+      const guest = guests.get(entry.guestId);
+      if (!guest) {
+        if (guests.size >= limit) {
+          continue;
+        }
+        guests.set(entry.guestId, {
+          guestId: entry.guestId,
+          nickname: guestNicknames.get(entry.guestId) || null,
+          lastRequest: entry.name || null,
+          at: entry.at,
+        });
+      } else if (!guest.lastRequest) {
+        // Rate-limited attempts have no track name, so fall back to an earlier request's
+        guest.lastRequest = entry.name || null;
+      }
+    }
+    return [...guests.values()];
   }
 
-  // Extract track ID from URI
-  const trackId = uri.replace('spotify:track:', '');
+  // GET /api/rate-limit/policy - The full policy, overrides and recent guests (Host only)
+  router.get('/rate-limit/policy', requireHost, (req, res) => {
+    res.json({
+      policy: rateLimiter.getPolicy(),
+      overrides: rateLimiter.listOverrides(),
+      recentGuests: getRecentGuests(),
+    });
+  });
 
-  try {
-    // Check vibe if enabled
-    if (currentVibe.settings.enabled) {
-      const audioFeatures = await getAudioFeatures(trackId);
-
-      if (audioFeatures) {
-        const vibeCheck = await checkVibeMatch(audioFeatures);
-
-        if (!vibeCheck.matches) {
-          return res.status(403).json({
-            error: 'vibe_mismatch',
-            message: `This song doesn't match the ${currentVibe.settings.name} vibe`,
-            reason: vibeCheck.reason,
-            allReasons: vibeCheck.allReasons,
-            audioFeatures: vibeCheck.audioFeatures,
-            referenceFeatures: vibeCheck.referenceFeatures,
-            currentVibe: currentVibe.preset,
-          });
-        }
+  // PUT /api/rate-limit/policy - Change the policy (Host only)
+  // Body: any of { capacity, refillPerHour, minGapSeconds, maxPending, ipCapacity, ipRefillPerHour }
+  router.put('/rate-limit/policy', requireHost, (req, res) => {
+    try {
+      const policy = rateLimiter.setPolicy(req.body);
+      console.log('Rate limit policy:', JSON.stringify(policy));
+      res.json({ success: true, policy });
+    } catch (err) {
+      if (err.code === 'invalid') {
+        return res.status(400).json({ error: 'Invalid policy', message: err.message });
       }
-      // If we can't get audio features, allow the song (fail open)
+      throw err;
     }
+  });
 
-    const response = await spotifyFetch(`/me/player/queue?uri=${encodeURIComponent(uri)}`, {
-      method: 'POST',
+  // PUT /api/rate-limit/overrides/:guestId - Give one guest their own limits (Host only)
+  // Body: { label?, unlimited?, capacity?, refillPerHour?, minGapSeconds?, maxPending? }
+  router.put('/rate-limit/overrides/:guestId', requireHost, (req, res) => {
+    try {
+      const override = rateLimiter.setOverride(req.params.guestId, req.body);
+      res.json({ success: true, override: { guestId: req.params.guestId, ...override } });
+    } catch (err) {
+      if (err.code === 'invalid') {
+        return res.status(400).json({ error: 'Invalid override', message: err.message });
+      }
+      throw err;
+    }
+  });
+
+  // DELETE /api/rate-limit/overrides/:guestId - Put a guest back on the normal policy (Host only)
+  router.delete('/rate-limit/overrides/:guestId', requireHost, (req, res) => {
+    if (!rateLimiter.removeOverride(req.params.guestId)) {
+      return res.status(404).json({ error: 'No override for that guest' });
+    }
+    res.json({ success: true });
+  });
+
+  // ===========================================================================
+  // BLOCKLIST ROUTES
+  // ===========================================================================
+
+  // GET /api/blocklist - Blocked tracks, artists and keywords (Host only)
+  router.get('/blocklist', requireHost, (req, res) => {
+    res.json({ message: blocklist.message, entries: blocklist.list() });
+  });
+
+  // POST /api/blocklist - Block a track, artist or title keyword (Host only)
+  // Body: { type: 'track' | 'artist' | 'keyword', value, label? } - track and
+  // artist values can be ids, URIs or open.spotify.com links
+  router.post('/blocklist', requireHost, async (req, res) => {
+    const { type, value, label } = req.body || {};
+
+    try {
+      const entry = await blocklist.add({ type, value, label });
+      console.log(`Blocked ${entry.type} ${entry.value}`);
+      res.status(201).json({ success: true, entry });
+    } catch (err) {
+      if (err.code === 'invalid') {
+        return res.status(400).json({ error: 'Invalid blocklist entry', message: err.message });
+      }
+      if (err.code === 'exists') {
+        return res.status(409).json({ error: 'Already blocked', message: err.message });
+      }
+      console.error('Error updating blocklist:', err);
+      res.status(500).json({ error: 'Failed to save blocklist' });
+    }
+  });
+
+  // DELETE /api/blocklist/:entryId - Unblock (Host only)
+  router.delete('/blocklist/:entryId', requireHost, async (req, res) => {
+    try {
+      if (!await blocklist.remove(req.params.entryId)) {
+        return res.status(404).json({ error: 'Blocklist entry not found' });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error updating blocklist:', err);
+      res.status(500).json({ error: 'Failed to save blocklist' });
+    }
+  });
+
+  // PUT /api/blocklist/message - What guests see for a blocked song (Host only)
+  router.put('/blocklist/message', requireHost, async (req, res) => {
+    try {
+      const message = await blocklist.setMessage(req.body?.message);
+      res.json({ success: true, message });
+    } catch (err) {
+      console.error('Error updating blocklist:', err);
+      res.status(500).json({ error: 'Failed to save blocklist' });
+    }
+  });
+
+  // ===========================================================================
+  // ADMISSION RULES ROUTES
+  // ===========================================================================
+
+  // GET /api/admission-rules - The host's rules, in the order they run, and the
+  // rule types available (Host only)
+  router.get('/admission-rules', requireHost, (req, res) => {
+    res.json({
+      rules: admissionRules.list(),
+      types: Object.entries(RULE_TYPES).map(([id, type]) => ({ id, label: type.label })),
     });
+  });
 
-    if (response.status === 204) {
-      // Success - increment rate limit counter
-      const { ip, userLimit } = req.rateLimit;
-      userLimit.count++;
-      rateLimitStore.set(ip, userLimit);
+  // POST /api/admission-rules - Add a rule (Host only)
+  // Body: { type: 'duration', options: { maxMinutes: 7 } } - see RULE_TYPES for each type's options
+  router.post('/admission-rules', requireHost, (req, res) => {
+    try {
+      const rule = admissionRules.add(req.body || {});
+      console.log(`Admission rule added: ${rule.type} ${JSON.stringify(rule.options)}`);
+      res.status(201).json({ success: true, rule });
+    } catch (err) {
+      if (err.code === 'invalid') {
+        return res.status(400).json({ error: 'Invalid rule', message: err.message });
+      }
+      throw err;
+    }
+  });
 
-      const remaining = RATE_LIMIT_MAX_REQUESTS - userLimit.count;
+  // PATCH /api/admission-rules/:ruleId - Change a rule's options or switch it on/off (Host only)
+  // Body: { options?, enabled? }
+  router.patch('/admission-rules/:ruleId', requireHost, (req, res) => {
+    try {
+      const rule = admissionRules.update(req.params.ruleId, req.body || {});
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      res.json({ success: true, rule });
+    } catch (err) {
+      if (err.code === 'invalid') {
+        return res.status(400).json({ error: 'Invalid rule', message: err.message });
+      }
+      throw err;
+    }
+  });
 
-      return res.json({
-        success: true,
-        message: 'Track added to queue',
-        rateLimit: {
-          remaining,
-          resetAt: new Date(userLimit.windowStart + RATE_LIMIT_WINDOW_MS).toISOString(),
-        },
+  // DELETE /api/admission-rules/:ruleId - Remove a rule (Host only)
+  router.delete('/admission-rules/:ruleId', requireHost, (req, res) => {
+    if (!admissionRules.remove(req.params.ruleId)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  });
+
+  // ===========================================================================
+  // PARTY HISTORY ROUTES
+  // ===========================================================================
+
+  // Default name for exports and saved playlists
+  function getPartyTitle() {
+    return `Electric Love ${new Date().toISOString().slice(0, 10)}`;
+  }
+
+  const HISTORY_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    m3u: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u' },
+  };
+
+  // GET /api/history/export?format=json|csv|m3u - Download the party history (Host only)
+  // JSON and CSV include every queue attempt; M3U is the tracks that played.
+  router.get('/history/export', requireHost, (req, res) => {
+    const format = String(req.query.format || 'json').toLowerCase();
+    const spec = HISTORY_FORMATS[format];
+    if (!spec) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        validFormats: Object.keys(HISTORY_FORMATS),
       });
     }
 
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
+    const entries = partyHistory.entries();
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', spec.contentType);
+    res.set('Content-Disposition', `attachment; filename="party-history-${date}.${spec.extension}"`);
 
-      // Handle common errors
-      if (response.status === 404) {
-        return res.status(404).json({
-          error: 'No active device found',
-          message: 'Please start playing something on Spotify first.',
-        });
+    if (format === 'csv') {
+      return res.send(historyToCsv(entries));
+    }
+    if (format === 'm3u') {
+      return res.send(historyToM3u(entries, getPartyTitle()));
+    }
+    res.send(JSON.stringify({ exportedAt: new Date().toISOString(), entries }, null, 2));
+  });
+
+  // Accept a playlist id, spotify:playlist:<id> URI or open.spotify.com link
+  function parsePlaylistId(value) {
+    const match = String(value).trim().match(/^(?:spotify:playlist:|https:\/\/open\.spotify\.com\/playlist\/)?([A-Za-z0-9]+)(?:\?.*)?$/);
+    return match ? match[1] : null;
+  }
+
+  // URIs already in a playlist, so appending doesn't add them twice
+  async function getPlaylistUris(playlistId) {
+    const uris = new Set();
+    let offset = 0;
+    let total = Infinity;
+
+    while (offset < total) {
+      const response = await spotifyFetch(
+        `/playlists/${playlistId}/tracks?fields=items(track(uri)),total&limit=100&offset=${offset}`
+      );
+      if (!response.ok) {
+        return { status: response.status, error: await response.json().catch(() => ({})) };
+      }
+      const data = await response.json();
+      for (const item of data.items || []) {
+        if (item.track?.uri) {
+          uris.add(item.track.uri);
+        }
       }
+      total = data.total || 0;
+      offset += 100;
+    }
+
+    return { uris };
+  }
 
-      return res.status(response.status).json({
-        error: 'Failed to add track to queue',
+  // Explain a failed playlist call to the host
+  function sendPlaylistError(res, status, error) {
+    if (status === 403) {
+      return res.status(403).json({
+        error: 'playlist_permission_denied',
+        message: 'Spotify refused. Reconnect Spotify from the host panel to grant playlist access, and make sure you own the playlist.',
         details: error,
       });
     }
-
-    res.json({ success: true, message: 'Track added to queue' });
-  } catch (err) {
-    console.error('Error adding to queue:', err);
-    if (err.message === 'Not authenticated') {
-      return res.status(401).json({ error: 'Not authenticated' });
+    if (status === 404) {
+      return res.status(404).json({ error: 'playlist_not_found', message: 'That playlist could not be found.' });
     }
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(status).json({ error: 'Failed to save playlist', details: error });
   }
-});
 
-// =============================================================================
-// VIBE API ROUTES (Host only)
-// =============================================================================
+  // POST /api/history/playlist - Save everything that played to a Spotify playlist (Host only)
+  // Body: { name?, public?, playlistId? } - with playlistId, appends to that
+  // playlist instead of creating one. Tracks are added in play order, once each.
+  router.post('/history/playlist', requireHost, async (req, res) => {
+    const { name, public: isPublic = false, playlistId: existing } = req.body || {};
+
+    const seen = new Set();
+    const uris = [];
+    for (const entry of partyHistory.entries()) {
+      if (entry.type === 'played' && entry.uri && !seen.has(entry.uri)) {
+        seen.add(entry.uri);
+        uris.push(entry.uri);
+      }
+    }
+
+    if (uris.length === 0) {
+      return res.status(400).json({ error: 'empty_history', message: 'Nothing has played yet.' });
+    }
+
+    try {
+      let playlist;
+      let toAdd = uris;
+
+      if (existing) {
+        const playlistId = parsePlaylistId(existing);
+        if (!playlistId) {
+          return res.status(400).json({ error: 'Invalid playlist', message: 'Paste a Spotify playlist link or ID.' });
+        }
+
+        const current = await getPlaylistUris(playlistId);
+        if (!current.uris) {
+          return sendPlaylistError(res, current.status, current.error);
+        }
+        toAdd = uris.filter(uri => !current.uris.has(uri));
+        playlist = { id: playlistId, url: `https://open.spotify.com/playlist/${playlistId}` };
+      } else {
+        const response = await spotifyFetch(`/users/${encodeURIComponent(hostTokens.userId)}/playlists`, {
+          method: 'POST',
+          body: JSON.stringify({
+            name: name || getPartyTitle(),
+            public: !!isPublic,
+            description: 'Everything that played at the party, in order.',
+          }),
+        });
+        if (!response.ok) {
+          return sendPlaylistError(res, response.status, await response.json().catch(() => ({})));
+        }
+        const created = await response.json();
+        playlist = { id: created.id, url: created.external_urls?.spotify };
+      }
+
+      // Spotify takes at most 100 tracks per request
+      for (let i = 0; i < toAdd.length; i += 100) {
+        const response = await spotifyFetch(`/playlists/${playlist.id}/tracks`, {
+          method: 'POST',
+          body: JSON.stringify({ uris: toAdd.slice(i, i + 100) }),
+        });
+        if (!response.ok) {
+          return sendPlaylistError(res, response.status, await response.json().catch(() => ({})));
+        }
+      }
 
-// GET /api/vibe - Get current vibe settings
-app.get('/api/vibe', (req, res) => {
-  res.json({
-    currentPreset: currentVibe.preset,
-    settings: currentVibe.settings,
-    availablePresets: Object.entries(VIBE_PRESETS).map(([key, value]) => ({
-      id: key,
-      name: value.name,
-      description: value.description,
-    })),
+      console.log(`Saved ${toAdd.length} tracks to playlist ${playlist.id}`);
+      res.json({
+        success: true,
+        playlistId: playlist.id,
+        url: playlist.url,
+        added: toAdd.length,
+        skipped: uris.length - toAdd.length,
+      });
+    } catch (err) {
+      console.error('Error saving playlist:', err);
+      if (err.message === 'Not authenticated') {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+      res.status(500).json({ error: 'Internal server error' });
+    }
   });
+
+  return {
+    code,
+    createdAt,
+    router,
+    isConnected: () => !!hostTokens.refreshToken,
+    wasClaimed: () => claimed,
+    // The Spotify account hosting the party, or null before anyone connects
+    getHostUserId: () => (hostTokens.refreshToken ? hostTokens.userId : null),
+    setHostTokens,
+    applyVibeSchedule,
+    // Read the party's history from disk, and its host's tokens (and so their
+    // blocklist) from the previous run
+    async load(storedTokens = null) {
+      await partyHistory.load();
+      if (storedTokens?.refreshToken) {
+        const { hostPin: storedPin, ...tokens } = storedTokens;
+        hostTokens = { ...EMPTY_TOKENS, ...tokens };
+        hostPin = storedPin || hostPin;
+        claimed = true;
+        await useHostBlocklist();
+      }
+    },
+    start: startPlaybackPoller,
+    stop() {
+      clearInterval(pollerInterval);
+      for (const client of eventClients) {
+        client.end();
+      }
+    },
+  };
+}
+
+// Map<code, party> of every party on this server
+const parties = new Map();
+const PARTY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to mix up
+const PARTY_CODE_LENGTH = 6;
+const MAX_PARTIES = Number(process.env.MAX_PARTIES || 50);
+// Parties nobody connected Spotify to are dropped after this long, checked
+// every PARTY_PRUNE_INTERVAL_MS
+const UNCLAIMED_PARTY_TTL_MS = 15 * 60 * 1000;
+const PARTY_PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Starting parties: a few an hour per device and a few more per IP (see
+// rateLimiter.js), so one client can't take every slot
+const partyStartLimiter = createRateLimiter({
+  policy: { capacity: 3, refillPerHour: 3, ipCapacity: 10, ipRefillPerHour: 10 },
 });
 
-// POST /api/vibe - Set vibe preset
-app.post('/api/vibe', (req, res) => {
-  const { preset, customSettings } = req.body;
+function generatePartyCode() {
+  let code;
+  do {
+    // 32 letters, so every byte maps evenly
+    code = Array.from(crypto.randomBytes(PARTY_CODE_LENGTH), byte => PARTY_CODE_ALPHABET[byte % PARTY_CODE_ALPHABET.length]).join('');
+  } while (parties.has(code));
+  return code;
+}
+
+// Create a party, register it and start its playback poller
+async function openParty(code, storedTokens = null) {
+  const party = createParty(code);
+  parties.set(code, party);
+  await party.load(storedTokens);
+  party.start();
+  return party;
+}
+
+function pruneUnclaimedParties(now = Date.now()) {
+  for (const [code, party] of parties) {
+    if (!party.wasClaimed() && now - party.createdAt > UNCLAIMED_PARTY_TTL_MS) {
+      party.stop();
+      parties.delete(code);
+      console.log(`Closed party ${code}: nobody connected Spotify`);
+    }
+  }
+}
 
-  if (!preset || !VIBE_PRESETS[preset]) {
-    return res.status(400).json({
-      error: 'Invalid preset',
-      validPresets: Object.keys(VIBE_PRESETS)
+// POST /api/parties - Start a new party; this browser becomes its host
+app.post('/api/parties', async (req, res) => {
+  const now = Date.now();
+  const limitContext = { key: getRateLimitKey(req), ipKey: `ip-total:${getClientIp(req)}`, now };
+  const limited = partyStartLimiter.check(limitContext);
+  if (!limited.allowed) {
+    return res.status(429).json({
+      error: 'too_many_parties_started',
+      message: `You've started a lot of parties. Try again in ${describeWait(limited.retryAt, now)}.`,
+      resetAt: new Date(limited.retryAt).toISOString(),
     });
   }
 
-  if (preset === 'custom' && customSettings) {
-    currentVibe = {
-      preset: 'custom',
-      settings: {
-        ...VIBE_PRESETS.custom,
-        ...customSettings,
-        enabled: true,
-      },
-    };
-  } else {
-    currentVibe = {
-      preset,
-      settings: { ...VIBE_PRESETS[preset] },
-    };
+  pruneUnclaimedParties(now);
+  if (parties.size >= MAX_PARTIES) {
+    return res.status(503).json({
+      error: 'too_many_parties',
+      message: 'This server is hosting as many parties as it can. Try again later.',
+    });
   }
 
-  console.log(`Vibe set to: ${currentVibe.settings.name}`);
+  partyStartLimiter.consume(limitContext);
+  const party = await openParty(generatePartyCode());
+  grantHost(req, party.code);
+  req.session.save(() => {
+    console.log(`Started party ${party.code}`);
+    res.status(201).json({ code: party.code, isHost: true });
+  });
+});
+
+// Look up a party from a join code (codes aren't case-sensitive)
+function findParty(code) {
+  return parties.get(String(code).toUpperCase()) || null;
+}
 
-  res.json({
-    success: true,
-    message: `Vibe set to ${currentVibe.settings.name}`,
-    currentPreset: currentVibe.preset,
-    settings: currentVibe.settings,
+function sendPartyNotFound(res) {
+  res.status(404).json({
+    error: 'party_not_found',
+    message: 'No party with that code. Check the link with your host.',
   });
+}
+
+// GET /api/health - For the hosting platform's health check
+app.get('/api/health', (req, res) => {
+  res.json({ ok: true, parties: parties.size });
 });
 
-// GET /api/audio-features/:trackId - Debug endpoint to test audio features API
-app.get('/api/audio-features/:trackId', async (req, res) => {
-  const { trackId } = req.params;
-  try {
-    const response = await spotifyFetch(`/audio-features/${trackId}`);
-    const status = response.status;
-    const data = await response.json().catch(() => null);
-    res.json({ status, data, trackId });
-  } catch (err) {
-    res.status(500).json({ error: err.message, trackId });
+// GET /api/parties/:code - Check a join code
+app.get('/api/parties/:code', (req, res) => {
+  const party = findParty(req.params.code);
+  if (!party) {
+    return sendPartyNotFound(res);
   }
+  res.json({ code: party.code, connected: party.isConnected(), isHost: isPartyHost(req, party.code) });
 });
 
-// GET /api/artist/:artistId - Debug endpoint to test artist/genre API
-app.get('/api/artist/:artistId', async (req, res) => {
-  const { artistId } = req.params;
-  try {
-    const response = await spotifyFetch(`/artists/${artistId}`);
-    const status = response.status;
-    const data = await response.json().catch(() => null);
-    res.json({
-      status,
-      artistId,
-      name: data?.name,
-      genres: data?.genres || [],
-      genreCount: data?.genres?.length || 0,
-      popularity: data?.popularity
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message, artistId });
+// Everything else is scoped to a party: /api/p/:code/...
+app.use('/api/p/:code', (req, res, next) => {
+  const party = findParty(req.params.code);
+  if (!party) {
+    return sendPartyNotFound(res);
   }
+  party.router(req, res, next);
 });
 
-// GET /api/artist/:artistId/related - Test related artists API
-app.get('/api/artist/:artistId/related', async (req, res) => {
-  const { artistId } = req.params;
-  try {
-    const response = await spotifyFetch(`/artists/${artistId}/related-artists`);
-    const status = response.status;
-    const data = await response.json().catch(() => null);
-    res.json({
-      status,
-      artistId,
-      relatedArtists: (data?.artists || []).slice(0, 5).map(a => ({
-        id: a.id,
-        name: a.name,
-        genres: a.genres
-      }))
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message, artistId });
+// GET /api/auth/callback - Handle OAuth callback. Spotify only redirects to
+// the one registered URI, so this is shared by every party; the state says
+// which party the login was for.
+app.get('/api/auth/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  if (error) {
+    console.error('OAuth error:', error);
+    return res.redirect(`${frontendUrl}?error=${encodeURIComponent(error)}`);
   }
-});
 
-// GET /api/vibe/check/:trackId - Check if a track matches the current vibe (for preview)
-app.get('/api/vibe/check/:trackId', async (req, res) => {
-  const { trackId } = req.params;
+  if (!code) {
+    return res.redirect(`${frontendUrl}?error=missing_code`);
+  }
 
-  if (!currentVibe.settings.enabled) {
-    return res.json({ matches: true, vibeEnabled: false });
+  // Verify state and get code verifier from memory store
+  const storedAuth = oauthStateStore.get(state);
+  if (!storedAuth) {
+    console.error('State mismatch or expired. State:', state, 'Store size:', oauthStateStore.size);
+    return res.redirect(`${frontendUrl}?error=state_mismatch`);
   }
 
-  try {
-    const audioFeatures = await getAudioFeatures(trackId);
+  const { codeVerifier } = storedAuth;
+  const returnUrl = `${frontendUrl}${storedAuth.returnTo || ''}`;
 
-    if (!audioFeatures) {
-      return res.json({
-        matches: true,
-        vibeEnabled: true,
-        note: 'Could not fetch audio features, allowing song'
-      });
-    }
+  // Clean up used state
+  oauthStateStore.delete(state);
 
-    const vibeCheck = await checkVibeMatch(audioFeatures);
+  const party = parties.get(storedAuth.partyCode);
+  if (!party) {
+    return res.redirect(`${frontendUrl}?error=party_not_found`);
+  }
 
-    res.json({
-      matches: vibeCheck.matches,
-      vibeEnabled: true,
-      currentVibe: currentVibe.settings.name,
-      isDynamic: currentVibe.settings.dynamic || false,
-      reason: vibeCheck.reason,
-      allReasons: vibeCheck.allReasons,
-      audioFeatures: {
-        energy: audioFeatures.energy,
-        valence: audioFeatures.valence,
-        tempo: Math.round(audioFeatures.tempo),
-        danceability: audioFeatures.danceability,
-      },
-      referenceFeatures: vibeCheck.referenceFeatures,
-      thresholds: vibeCheck.thresholds || {
-        energy: currentVibe.settings.energy,
-        valence: currentVibe.settings.valence,
-        tempo: currentVibe.settings.tempo,
-        danceability: currentVibe.settings.danceability,
+  try {
+    // Exchange code for tokens
+    const tokenResponse = await fetch(`${SPOTIFY_ACCOUNTS_URL}/api/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${Buffer.from(`${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`).toString('base64')}`,
       },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: process.env.SPOTIFY_REDIRECT_URI,
+        code_verifier: codeVerifier,
+      }),
     });
-  } catch (err) {
-    console.error('Error checking vibe:', err);
-    res.status(500).json({ error: 'Failed to check vibe' });
-  }
-});
 
-// GET /api/rate-limit - Get rate limit status for current user
-app.get('/api/rate-limit', (req, res) => {
-  const ip = req.ip || req.connection.remoteAddress || 'unknown';
-  const now = Date.now();
+    if (!tokenResponse.ok) {
+      const errorData = await tokenResponse.json();
+      console.error('Token exchange failed:', errorData);
+      return res.redirect(`${returnUrl}?error=token_exchange_failed`);
+    }
 
-  const userLimit = rateLimitStore.get(ip);
+    const tokenData = await tokenResponse.json();
 
-  if (!userLimit || now - userLimit.windowStart >= RATE_LIMIT_WINDOW_MS) {
-    return res.json({
-      remaining: RATE_LIMIT_MAX_REQUESTS,
-      limit: RATE_LIMIT_MAX_REQUESTS,
-      resetAt: null,
+    // Identify the Spotify account so nobody else can take over the party
+    const profileResponse = await fetch(`${SPOTIFY_API_URL}/me`, {
+      headers: { 'Authorization': `Bearer ${tokenData.access_token}` },
     });
-  }
+    if (!profileResponse.ok) {
+      console.error('Failed to fetch Spotify profile:', profileResponse.status);
+      return res.redirect(`${returnUrl}?error=profile_fetch_failed`);
+    }
+    const profile = await profileResponse.json();
+
+    // The party's host connects it first; after that the same Spotify account
+    // can log in again from any browser (e.g. after a restart), nobody else can
+    const hostUserId = party.getHostUserId();
+    if (!isPartyHost(req, party.code) && hostUserId !== profile.id) {
+      const reason = hostUserId ? 'host_already_connected' : 'host_auth_required';
+      console.error(`Rejected Spotify login from ${profile.id} for party ${party.code}: ${reason}`);
+      return res.redirect(`${returnUrl}?error=${reason}`);
+    }
 
-  const remaining = Math.max(0, RATE_LIMIT_MAX_REQUESTS - userLimit.count);
-  const resetAt = new Date(userLimit.windowStart + RATE_LIMIT_WINDOW_MS).toISOString();
+    // Store tokens
+    await party.setHostTokens({
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token,
+      expiresAt: Date.now() + tokenData.expires_in * 1000,
+      userId: profile.id,
+    });
 
-  res.json({
-    remaining,
-    limit: RATE_LIMIT_MAX_REQUESTS,
-    resetAt,
-  });
+    // This browser is now the party's host
+    grantHost(req, party.code);
+    req.session.save(() => {
+      console.log(`Party ${party.code} connected to Spotify`);
+      res.redirect(`${returnUrl}?authenticated=true`);
+    });
+  } catch (err) {
+    console.error('OAuth callback error:', err);
+    res.redirect(`${returnUrl}?error=server_error`);
+  }
 });
 
 // =============================================================================
@@ -971,8 +3089,32 @@ app.use((err, req, res, next) => {
 // START SERVER
 // =============================================================================
 
-app.listen(PORT, () => {
-  console.log(`Spotify Party Queue server running on port ${PORT}`);
+await featureCache.load();
+
+// Bring back every party whose host was connected in the previous run
+for (const { partyCode, tokens } of await tokenStore.loadAll()) {
+  await openParty(partyCode, tokens);
+}
+if (parties.size > 0) {
+  console.log(`Restored ${parties.size} parties from ${tokenStore.type} store`);
+}
+
+// Flush caches to disk before Render stops the instance
+process.on('SIGTERM', async () => {
+  await featureCache.save().catch(err => console.error('Failed to save audio features cache:', err.message));
+  process.exit(0);
+});
+
+const server = app.listen(PORT, () => {
+  setInterval(() => {
+    for (const party of parties.values()) {
+      party.applyVibeSchedule();
+    }
+  }, VIBE_SCHEDULE_TICK_MS).unref();
+  setInterval(pruneUnclaimedParties, PARTY_PRUNE_INTERVAL_MS).unref();
+  // PORT=0 picks a free port (used by the tests), so log the real one
+  console.log(`Spotify Party Queue server running on port ${server.address().port}`);
   console.log(`Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
   console.log(`OAuth Redirect URI: ${process.env.SPOTIFY_REDIRECT_URI}`);
 });
+
@@ -0,0 +1,226 @@
+// =============================================================================
+// RATE LIMIT POLICY
+// =============================================================================
+//
+// Token buckets for queue additions. Every guest (and, as a ceiling, every IP)
+// has a bucket of `capacity` songs that refills continuously at
+// `refillPerHour`. On top of that a guest can be held to a minimum gap between
+// adds and a cap on songs waiting in the pending queue. The host can change
+// the policy at runtime and give individual guests overrides, e.g.
+// { label: 'Birthday', unlimited: true }.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_POLICY = {
+  capacity: 10,        // Songs a guest can add in a burst
+  refillPerHour: 10,   // Songs regained per hour (0 = the bucket never refills)
+  minGapSeconds: 0,    // Minimum time between two adds from the same guest
+  maxPending: 0,       // Songs a guest may have waiting in the pending queue (0 = no cap)
+  ipCapacity: 60,      // Shared by every device behind one IP (e.g. party Wi-Fi NAT)
+  ipRefillPerHour: 60,
+};
+
+// [min, max] for each numeric setting
+const POLICY_BOUNDS = {
+  capacity: [1, 1000],
+  refillPerHour: [0, 1000],
+  minGapSeconds: [0, 3600],
+  maxPending: [0, 100],
+  ipCapacity: [1, 10000],
+  ipRefillPerHour: [0, 10000],
+};
+
+// Guest overrides can change the guest's own limits, not the IP ceiling
+const OVERRIDE_KEYS = ['capacity', 'refillPerHour', 'minGapSeconds', 'maxPending'];
+
+// Check and clean a partial policy. Throws with err.code 'invalid'.
+function cleanSettings(changes, keys) {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (!keys.includes(key)) {
+      continue;
+    }
+    const number = Number(value);
+    const [min, max] = POLICY_BOUNDS[key];
+    if (value === null || value === '' || !Number.isFinite(number) || number < min || number > max) {
+      throw Object.assign(new Error(`${key} must be between ${min} and ${max}`), { code: 'invalid' });
+    }
+    cleaned[key] = number;
+  }
+  return cleaned;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+export function createRateLimiter({ policy = {} } = {}) {
+  let current = { ...DEFAULT_POLICY, ...policy };
+  // Map<guestId, { label, unlimited, ...OVERRIDE_KEYS }>
+  const overrides = new Map();
+  // Map<key, { tokens, updatedAt }> - keys are 'guest:<id>', 'ip:<ip>' or 'ip-total:<ip>'
+  const buckets = new Map();
+  // Map<key, timestamp> of each guest's last successful add
+  const lastAdd = new Map();
+
+  // The policy a guest is held to: the host's, with their override on top
+  function policyFor(guestId) {
+    const override = guestId && overrides.get(guestId);
+    return override ? { ...current, ...override } : current;
+  }
+
+  // A bucket topped up for the time since it was last touched
+  function readBucket(key, capacity, refillPerHour, now) {
+    const saved = buckets.get(key);
+    if (!saved) {
+      return { tokens: capacity, updatedAt: now };
+    }
+    const refilled = saved.tokens + ((now - saved.updatedAt) / HOUR_MS) * refillPerHour;
+    return { tokens: Math.min(capacity, refilled), updatedAt: now };
+  }
+
+  // When a bucket will next hold a whole song (null if it never refills)
+  function nextTokenAt(bucket, refillPerHour, now) {
+    if (bucket.tokens >= 1) {
+      return now;
+    }
+    if (!refillPerHour) {
+      return null;
+    }
+    return now + ((1 - bucket.tokens) / refillPerHour) * HOUR_MS;
+  }
+
+  function describeAllowance(policy) {
+    if (policy.refillPerHour === policy.capacity) {
+      return `You can only add ${policy.capacity} songs per hour.`;
+    }
+    if (!policy.refillPerHour) {
+      return `You can only add ${plural(policy.capacity, 'song')} tonight.`;
+    }
+    return `You can add ${plural(policy.capacity, 'song')} at once, plus ${policy.refillPerHour} more per hour.`;
+  }
+
+  // Whether a guest may add a song right now. `key` is the guest's rate limit
+  // key, `ipKey` the IP ceiling's, `guestId` null for unrecognised devices and
+  // `pending` how many of their songs are waiting. Returns { allowed: true } or
+  // { allowed: false, reason, message, retryAt } (retryAt null when waiting
+  // alone won't help).
+  function check({ key, ipKey, guestId = null, pending = 0, now = Date.now() }) {
+    const policy = policyFor(guestId);
+    if (policy.unlimited) {
+      return { allowed: true };
+    }
+
+    const guest = readBucket(key, policy.capacity, policy.refillPerHour, now);
+    if (guest.tokens < 1) {
+      return {
+        allowed: false,
+        reason: 'guest_limit',
+        message: describeAllowance(policy),
+        retryAt: nextTokenAt(guest, policy.refillPerHour, now),
+      };
+    }
+
+    const last = lastAdd.get(key);
+    if (policy.minGapSeconds && last && now - last < policy.minGapSeconds * 1000) {
+      return {
+        allowed: false,
+        reason: 'cooldown',
+        message: `Give it ${plural(policy.minGapSeconds, 'second')} between songs.`,
+        retryAt: last + policy.minGapSeconds * 1000,
+      };
+    }
+
+    if (policy.maxPending && pending >= policy.maxPending) {
+      return {
+        allowed: false,
+        reason: 'pending_limit',
+        message: `You already have ${plural(pending, 'song')} waiting. Add more once one plays.`,
+        retryAt: null,
+      };
+    }
+
+    const ip = readBucket(ipKey, policy.ipCapacity, policy.ipRefillPerHour, now);
+    if (ip.tokens < 1) {
+      return {
+        allowed: false,
+        reason: 'ip_limit',
+        message: 'Too many songs have been added from this network.',
+        retryAt: nextTokenAt(ip, policy.ipRefillPerHour, now),
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  // Where a guest stands: what's left in their bucket and the policy behind it
+  function status({ key, guestId = null, pending = 0, now = Date.now() }) {
+    const policy = policyFor(guestId);
+    const override = guestId ? overrides.get(guestId) : null;
+    const guest = readBucket(key, policy.capacity, policy.refillPerHour, now);
+    const last = lastAdd.get(key);
+    const gapEndsAt = policy.minGapSeconds && last ? last + policy.minGapSeconds * 1000 : 0;
+    const full = guest.tokens >= policy.capacity;
+
+    return {
+      remaining: policy.unlimited ? null : Math.floor(guest.tokens),
+      limit: policy.unlimited ? null : policy.capacity,
+      // When the next song comes back (null if the bucket is full or never refills)
+      resetAt: policy.unlimited || full || !policy.refillPerHour
+        ? null
+        : new Date(now + ((1 - (guest.tokens % 1)) / policy.refillPerHour) * HOUR_MS).toISOString(),
+      nextAddAt: gapEndsAt > now ? new Date(gapEndsAt).toISOString() : null,
+      pending,
+      unlimited: !!policy.unlimited,
+      override: override ? { label: override.label } : null,
+      policy: {
+        capacity: policy.capacity,
+        refillPerHour: policy.refillPerHour,
+        minGapSeconds: policy.minGapSeconds,
+        maxPending: policy.maxPending,
+      },
+    };
+  }
+
+  // Count a successful add against the guest's and the IP's buckets
+  function consume({ key, ipKey, guestId = null, now = Date.now() }) {
+    const policy = policyFor(guestId);
+    lastAdd.set(key, now);
+
+    if (!policy.unlimited) {
+      const guest = readBucket(key, policy.capacity, policy.refillPerHour, now);
+      const ip = readBucket(ipKey, policy.ipCapacity, policy.ipRefillPerHour, now);
+      buckets.set(key, { tokens: guest.tokens - 1, updatedAt: now });
+      buckets.set(ipKey, { tokens: ip.tokens - 1, updatedAt: now });
+    }
+    return status({ key, guestId, now });
+  }
+
+  // Change some of the policy; the rest stays as it was
+  function setPolicy(changes) {
+    current = { ...current, ...cleanSettings(changes, Object.keys(DEFAULT_POLICY)) };
+    return { ...current };
+  }
+
+  // Give one guest their own limits (or none at all with `unlimited`)
+  function setOverride(guestId, { label = null, unlimited = false, ...settings } = {}) {
+    const override = {
+      ...cleanSettings(settings, OVERRIDE_KEYS),
+      label: label ? String(label).slice(0, 60) : null,
+      unlimited: !!unlimited,
+    };
+    overrides.set(guestId, override);
+    return override;
+  }
+
+  return {
+    check,
+    consume,
+    status,
+    setPolicy,
+    setOverride,
+    removeOverride: guestId => overrides.delete(guestId),
+    getPolicy: () => ({ ...current }),
+    listOverrides: () => [...overrides].map(([guestId, override]) => ({ guestId, ...override })),
+  };
+}
@@ -0,0 +1,126 @@
+// =============================================================================
+// RESPONSE CACHE
+// =============================================================================
+//
+// Short-TTL cache with in-flight request coalescing. Identical concurrent
+// lookups share one upstream request; results are kept for ttlMs so 40 guests
+// polling the same endpoint cost one Spotify call. At most maxEntries are kept;
+// expired entries go first, then the least recently used.
+
+export function createResponseCache({ maxEntries = 1000 } = {}) {
+  // Map<key, { value, expiresAt }>, least recently used first
+  const entries = new Map();
+  // Map<key, Promise> of lookups that are currently running
+  const inflight = new Map();
+  const stats = { hits: 0, misses: 0, coalesced: 0, invalidations: 0, evictions: 0 };
+  // Map<prefix, tick> of the last invalidation of each prefix ('' for clear()),
+  // so a lookup that started before a write to its key doesn't put its stale
+  // result back into the cache. Lookups for other keys aren't affected.
+  const invalidatedAt = new Map();
+  let tick = 0;
+
+  function invalidatedSince(key, startedAt) {
+    for (const [prefix, at] of invalidatedAt) {
+      if (at > startedAt && key.startsWith(prefix)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function store(key, value, ttlMs) {
+    entries.delete(key);
+    if (entries.size >= maxEntries) {
+      const now = Date.now();
+      for (const [oldKey, entry] of entries) {
+        if (entry.expiresAt <= now) {
+          entries.delete(oldKey);
+        }
+      }
+      // Still full: drop the least recently used
+      for (const oldKey of entries.keys()) {
+        if (entries.size < maxEntries) {
+          break;
+        }
+        entries.delete(oldKey);
+        stats.evictions++;
+      }
+    }
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  // Return the cached value for key, or run loader() once and share its result.
+  // shouldCache(value) decides whether a loaded value is kept (e.g. skip errors).
+  async function get(key, ttlMs, loader, shouldCache = () => true) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      stats.hits++;
+      // Move it to the most recently used end
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    }
+    if (entry) {
+      entries.delete(key);
+    }
+
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      return inflight.get(key);
+    }
+
+    stats.misses++;
+    const startedAt = tick;
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        if (ttlMs > 0 && !invalidatedSince(key, startedAt) && shouldCache(value)) {
+          store(key, value, ttlMs);
+        }
+        return value;
+      } finally {
+        if (inflight.get(key) === promise) {
+          inflight.delete(key);
+        }
+      }
+    })();
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  // Drop every entry whose key starts with prefix
+  function invalidate(prefix) {
+    invalidatedAt.set(prefix, ++tick);
+    for (const key of inflight.keys()) {
+      if (key.startsWith(prefix)) {
+        inflight.delete(key);
+      }
+    }
+    for (const key of entries.keys()) {
+      if (key.startsWith(prefix)) {
+        entries.delete(key);
+        stats.invalidations++;
+      }
+    }
+  }
+
+  function clear() {
+    invalidatedAt.clear();
+    invalidatedAt.set('', ++tick);
+    entries.clear();
+    inflight.clear();
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses + stats.coalesced;
+    return {
+      ...stats,
+      hitRate: lookups ? (stats.hits + stats.coalesced) / lookups : 0,
+      entries: entries.size,
+      inflight: inflight.size,
+    };
+  }
+
+  return { get, invalidate, clear, stats: getStats };
+}
@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// =============================================================================
+// HOST TOKEN STORAGE
+// =============================================================================
+//
+// Pluggable storage for each party host's Spotify tokens (and the party's host
+// PIN) so a redeploy or a free-tier sleep doesn't force hosts to log in again
+// mid-party. The parties with saved tokens are also the ones restored on boot.
+//
+// Every store exposes the same async interface:
+//   loadAll()                -> Array<{ partyCode, tokens: { accessToken, refreshToken, expiresAt, userId, hostPin } }>
+//   save(partyCode, tokens)  -> persists one party's tokens
+//   clear(partyCode)         -> forgets them
+//
+// Secrets (access + refresh token, host PIN) are encrypted at rest with AES-256-GCM using
+// a key derived from SESSION_SECRET.
+
+const CIPHER = 'aes-256-gcm';
+const KEY_SALT = 'electric-love-token-store';
+
+// Derive a 256-bit encryption key from the session secret
+export function deriveKey(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, KEY_SALT, 'host-tokens', 32));
+}
+
+// Encrypt a string to "iv.tag.ciphertext" (base64url)
+export function encrypt(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+// Decrypt a payload produced by encrypt(). Throws if the key is wrong or the
+// payload was tampered with.
+export function decrypt(payload, key) {
+  const [iv, tag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// Convert tokens to their at-rest form and back
+function sealTokens(tokens, key) {
+  return {
+    accessToken: tokens.accessToken ? encrypt(tokens.accessToken, key) : null,
+    refreshToken: tokens.refreshToken ? encrypt(tokens.refreshToken, key) : null,
+    expiresAt: tokens.expiresAt,
+    userId: tokens.userId || null,
+    hostPin: tokens.hostPin ? encrypt(tokens.hostPin, key) : null,
+  };
+}
+
+function unsealTokens(record, key) {
+  try {
+    return {
+      accessToken: record.accessToken ? decrypt(record.accessToken, key) : null,
+      refreshToken: record.refreshToken ? decrypt(record.refreshToken, key) : null,
+      expiresAt: record.expiresAt,
+      userId: record.userId || null,
+      hostPin: record.hostPin ? decrypt(record.hostPin, key) : null,
+    };
+  } catch (err) {
+    // Most likely SESSION_SECRET changed - the host will have to log in again
+    console.error('Could not decrypt stored host tokens:', err.message);
+    return null;
+  }
+}
+
+// Unsealed { partyCode, tokens } entries, skipping any that can't be decrypted
+function unsealAll(records, key) {
+  return Object.entries(records)
+    .map(([partyCode, record]) => ({ partyCode, tokens: unsealTokens(record, key) }))
+    .filter(entry => entry.tokens);
+}
+
+// In-memory store (tokens are lost on restart)
+function createMemoryTokenStore() {
+  const tokensByParty = new Map();
+
+  return {
+    type: 'memory',
+    async loadAll() {
+      return [...tokensByParty].map(([partyCode, tokens]) => ({ partyCode, tokens: { ...tokens } }));
+    },
+    async save(partyCode, tokens) {
+      tokensByParty.set(partyCode, { ...tokens });
+    },
+    async clear(partyCode) {
+      tokensByParty.delete(partyCode);
+    },
+  };
+}
+
+// JSON file store: { parties: { [partyCode]: sealedTokens } }
+function createFileTokenStore(filePath, key) {
+  let records = null;
+  // Writes are chained so two parties saving at once can't interleave
+  let writing = Promise.resolve();
+
+  async function readRecords() {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (!data.parties) {
+        // Written before the server hosted several parties - there's no party to give it to
+        console.warn(`Ignoring single-host tokens in ${filePath}; the host will have to connect Spotify again`);
+        return {};
+      }
+      return data.parties;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Could not read token file ${filePath}:`, err.message);
+      }
+      return {};
+    }
+  }
+
+  function write(change) {
+    const step = writing.then(async () => {
+      records ??= await readRecords();
+      change(records);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write to a temp file first so a crash mid-write can't corrupt the store
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ parties: records }, null, 2), { mode: 0o600 });
+      await fs.rename(tmpPath, filePath);
+    });
+    // One failed write (disk full, permissions) mustn't stall every later one;
+    // the caller still gets the error, and the next write retries the whole file
+    writing = step.catch(() => {});
+    return step;
+  }
+
+  return {
+    type: 'file',
+    async loadAll() {
+      records = await readRecords();
+      return unsealAll(records, key);
+    },
+    save(partyCode, tokens) {
+      return write(all => {
+        all[partyCode] = sealTokens(tokens, key);
+      });
+    },
+    clear(partyCode) {
+      return write(all => {
+        delete all[partyCode];
+      });
+    },
+  };
+}
+
+// SQLite store using Node's built-in node:sqlite (Node 22.5+)
+async function createSqliteTokenStore(filePath, key) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch {
+    throw new Error('TOKEN_STORE=sqlite requires Node 22.5 or newer (node:sqlite)');
+  }
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const db = new DatabaseSync(filePath);
+  // host_tokens (one row, from before parties) is left alone
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS party_tokens (
+      party_code TEXT PRIMARY KEY,
+      record TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  return {
+    type: 'sqlite',
+    async loadAll() {
+      const rows = db.prepare('SELECT party_code, record FROM party_tokens').all();
+      return unsealAll(Object.fromEntries(rows.map(row => [row.party_code, JSON.parse(row.record)])), key);
+    },
+    async save(partyCode, tokens) {
+      db.prepare(`
+        INSERT INTO party_tokens (party_code, record, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(party_code) DO UPDATE SET record = excluded.record, updated_at = excluded.updated_at
+      `).run(partyCode, JSON.stringify(sealTokens(tokens, key)), Date.now());
+    },
+    async clear(partyCode) {
+      db.prepare('DELETE FROM party_tokens WHERE party_code = ?').run(partyCode);
+    },
+  };
+}
+
+// Create a token store: type is 'memory', 'file' or 'sqlite'
+export async function createTokenStore({ type = 'file', filePath, secret }) {
+  const key = deriveKey(secret);
+
+  switch (type) {
+    case 'memory':
+      return createMemoryTokenStore();
+    case 'file':
+      return createFileTokenStore(filePath || 'data/tokens.json', key);
+    case 'sqlite':
+      return createSqliteTokenStore(filePath || 'data/tokens.sqlite', key);
+    default:
+      throw new Error(`Unknown TOKEN_STORE "${type}". Use memory, file or sqlite.`);
+  }
+}
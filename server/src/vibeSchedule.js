@@ -0,0 +1,142 @@
+// =============================================================================
+// VIBE SCHEDULE
+// =============================================================================
+//
+// Time-of-day helpers for the host's vibe timeline. A schedule is a list of
+// { at: 'HH:MM', preset, customSettings?, easeMinutes? } entries in the host's
+// time zone; each entry runs until the next one starts, wrapping past
+// midnight (so "22:00 party, 01:00 chill" keeps the party going at 23:30).
+
+const MINUTES_PER_DAY = 24 * 60;
+const RANGE_KEYS = ['energy', 'valence', 'tempo', 'danceability'];
+
+// 'HH:MM' -> minutes after midnight, or null if malformed
+export function parseTimeOfDay(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Minutes after midnight (with fractions) on the wall clock in timeZone
+function minutesInZone(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23',
+    }).formatToParts(date).map(part => [part.type, Number(part.value)])
+  );
+  return parts.hour * 60 + parts.minute + parts.second / 60;
+}
+
+// The entry that should be running at `now`: the one that started most
+// recently, looking back across midnight. Returns { index, startedAt } or null.
+export function getActiveEntry(entries, timeZone, now = new Date()) {
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const nowMinutes = minutesInZone(now, timeZone);
+  let best = null;
+  entries.forEach((entry, index) => {
+    const minutesAgo = (nowMinutes - parseTimeOfDay(entry.at) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    if (!best || minutesAgo < best.minutesAgo) {
+      best = { index, minutesAgo };
+    }
+  });
+
+  return {
+    index: best.index,
+    startedAt: new Date(now.getTime() - best.minutesAgo * 60 * 1000),
+  };
+}
+
+// Every entry's next start within the coming 24 hours, soonest first
+export function getUpcomingTransitions(entries, timeZone, now = new Date()) {
+  const nowMinutes = minutesInZone(now, timeZone);
+
+  return entries
+    .map((entry, index) => {
+      let minutesUntil = (parseTimeOfDay(entry.at) - nowMinutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+      if (minutesUntil === 0) {
+        minutesUntil = MINUTES_PER_DAY;
+      }
+      return { index, entry, at: new Date(now.getTime() + minutesUntil * 60 * 1000) };
+    })
+    .sort((a, b) => a.at - b.at);
+}
+
+// Whether two vibe settings can be blended (both use fixed ranges)
+export function canInterpolate(from, to) {
+  return !!from && !!to
+    && from.enabled && to.enabled
+    && !from.dynamic && !to.dynamic
+    && RANGE_KEYS.every(key => from[key] && to[key]);
+}
+
+// Settings part-way (progress 0..1) from one set of ranges to another
+export function interpolateSettings(from, to, progress) {
+  const t = Math.min(1, Math.max(0, progress));
+  const blend = (a, b) => a + (b - a) * t;
+
+  const settings = { ...to };
+  for (const key of RANGE_KEYS) {
+    settings[key] = {
+      min: blend(from[key].min, to[key].min),
+      max: blend(from[key].max, to[key].max),
+    };
+  }
+  return settings;
+}
+
+// Target values on the host's energy arc at `now`. Points ({ at, energy,
+// tempo, ... }) are a timeline through the night starting at the first one
+// (so 21:00 -> 00:00 crosses midnight); between points values are linear,
+// and before the first / after the last they hold steady.
+export function getArcTarget(points, timeZone, now = new Date()) {
+  if (points.length === 0) {
+    return null;
+  }
+
+  const start = parseTimeOfDay(points[0].at);
+  const offsets = points.map(point => (parseTimeOfDay(point.at) - start + MINUTES_PER_DAY) % MINUTES_PER_DAY);
+  const elapsed = (minutesInZone(now, timeZone) - start + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const end = offsets[offsets.length - 1];
+
+  const valuesOf = ({ at, ...values }) => values;
+  if (elapsed >= end) {
+    // Past the last point - unless it's nearer to say we haven't started yet
+    return elapsed - end < MINUTES_PER_DAY - elapsed ? valuesOf(points[points.length - 1]) : valuesOf(points[0]);
+  }
+
+  const next = offsets.findIndex(offset => offset > elapsed);
+  const from = valuesOf(points[next - 1]);
+  const to = valuesOf(points[next]);
+  const progress = (elapsed - offsets[next - 1]) / (offsets[next] - offsets[next - 1]);
+
+  const target = {};
+  for (const key of Object.keys(from)) {
+    if (to[key] !== undefined) {
+      target[key] = from[key] + (to[key] - from[key]) * progress;
+    }
+  }
+  return target;
+}
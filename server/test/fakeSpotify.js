@@ -0,0 +1,298 @@
+import express from 'express';
+import crypto from 'crypto';
+
+// =============================================================================
+// FAKE SPOTIFY + RECCOBEATS
+// =============================================================================
+//
+// A local stand-in for the parts of the Spotify Web API, the Spotify accounts
+// service and ReccoBeats that the server uses. Point the server at it with
+//   SPOTIFY_API_URL=<url>/v1
+//   SPOTIFY_ACCOUNTS_URL=<url>
+//   RECCOBEATS_API_URL=<url>/reccobeats
+//
+// Tests drive it through `state` (what's playing, whether a device is active,
+// audio features) and inspect `state.calls` to see what the server asked for.
+
+// Build a Spotify-shaped track object
+export function makeTrack(id, name, artist = 'Test Artist', {
+  explicit = false,
+  durationMs = 200000,
+  popularity = 50,
+  releaseDate = '2020-01-01',
+} = {}) {
+  return {
+    id,
+    name,
+    uri: `spotify:track:${id}`,
+    artists: [{ id: `artist${artist.replace(/[^A-Za-z0-9]/g, '')}`, name: artist }],
+    album: { id: `album-${id}`, name: `${name} (Single)`, images: [], release_date: releaseDate },
+    duration_ms: durationMs,
+    popularity,
+    explicit,
+  };
+}
+
+export async function startFakeSpotify({ tracks = [], features = {}, artistGenres = {}, userId = 'host-user' } = {}) {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const state = {
+    tracks: new Map(tracks.map(track => [track.id, track])),
+    features, // { trackId: { energy, valence, ... } } served by ReccoBeats
+    reccoBeatsDown: false, // ReccoBeats answers 503 while set
+    artistGenres, // { artistId: ['genre', ...] }
+    userId,
+    // { trackId, isPlaying, progressMs } or null when nothing is playing
+    playing: null,
+    activeDevice: true,
+    queue: [], // track ids in Spotify's queue
+    // Map<token, scopes> of tokens handed out
+    accessTokens: new Map(),
+    refreshTokens: new Map(),
+    // Authorization codes waiting to be exchanged: Map<code, { codeChallenge, redirectUri, scopes }>
+    codes: new Map(),
+    // Map<playlistId, { id, name, public, owner, uris: [] }>
+    playlists: new Map(),
+    calls: [], // '<METHOD> <path>' for every request, in order
+  };
+
+  let tokenCounter = 0;
+
+  function issueTokens(scopes) {
+    tokenCounter++;
+    const accessToken = `access-${tokenCounter}`;
+    const refreshToken = `refresh-${tokenCounter}`;
+    state.accessTokens.set(accessToken, scopes);
+    state.refreshTokens.set(refreshToken, scopes);
+    return { accessToken, refreshToken };
+  }
+
+  function spotifyError(res, status, message, reason) {
+    res.status(status).json({ error: { status, message, ...(reason && { reason }) } });
+  }
+
+  app.use((req, res, next) => {
+    state.calls.push(`${req.method} ${req.path}`);
+    next();
+  });
+
+  // ---------------------------------------------------------------------------
+  // Accounts service
+  // ---------------------------------------------------------------------------
+
+  // The user "approves" straight away and is sent back with a code
+  app.get('/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state: oauthState, code_challenge: codeChallenge, scope = '' } = req.query;
+    const code = crypto.randomBytes(8).toString('hex');
+    state.codes.set(code, { codeChallenge, redirectUri, scopes: scope.split(' ').filter(Boolean) });
+
+    const callback = new URL(redirectUri);
+    callback.searchParams.set('code', code);
+    callback.searchParams.set('state', oauthState);
+    res.redirect(callback.toString());
+  });
+
+  app.post('/api/token', (req, res) => {
+    if (!req.headers.authorization?.startsWith('Basic ')) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    let scopes;
+    if (req.body.grant_type === 'authorization_code') {
+      const pending = state.codes.get(req.body.code);
+      const challenge = req.body.code_verifier
+        && crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url');
+      if (!pending || pending.codeChallenge !== challenge || pending.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+      }
+      state.codes.delete(req.body.code);
+      scopes = pending.scopes;
+    } else if (req.body.grant_type === 'refresh_token') {
+      if (!state.refreshTokens.has(req.body.refresh_token)) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Refresh token revoked' });
+      }
+      scopes = state.refreshTokens.get(req.body.refresh_token);
+    } else {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    const { accessToken, refreshToken } = issueTokens(scopes);
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 3600,
+      // Like Spotify, only hand out a new refresh token on the first exchange
+      ...(req.body.grant_type === 'authorization_code' && { refresh_token: refreshToken }),
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Web API
+  // ---------------------------------------------------------------------------
+
+  app.use('/v1', (req, res, next) => {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!state.accessTokens.has(token)) {
+      return spotifyError(res, 401, 'The access token expired');
+    }
+    req.scopes = state.accessTokens.get(token);
+    next();
+  });
+
+  // Playlist writes need one of the playlist-modify scopes
+  function requirePlaylistScope(req, res, next) {
+    if (!req.scopes.some(scope => scope.startsWith('playlist-modify-'))) {
+      return spotifyError(res, 403, 'Insufficient client scope');
+    }
+    next();
+  }
+
+  app.get('/v1/me', (req, res) => {
+    res.json({ id: state.userId, display_name: 'Test Host' });
+  });
+
+  app.get('/v1/me/player/currently-playing', (req, res) => {
+    if (!state.playing) {
+      return res.status(204).end();
+    }
+    res.json({
+      is_playing: state.playing.isPlaying ?? true,
+      progress_ms: state.playing.progressMs ?? 0,
+      item: state.tracks.get(state.playing.trackId),
+    });
+  });
+
+  app.get('/v1/me/player/queue', (req, res) => {
+    res.json({
+      currently_playing: state.playing ? state.tracks.get(state.playing.trackId) : null,
+      queue: state.queue.map(trackId => state.tracks.get(trackId)),
+    });
+  });
+
+  app.post('/v1/me/player/queue', (req, res) => {
+    if (!state.activeDevice) {
+      return spotifyError(res, 404, 'Player command failed: No active device found', 'NO_ACTIVE_DEVICE');
+    }
+    const trackId = req.query.uri?.replace('spotify:track:', '');
+    if (!state.tracks.has(trackId)) {
+      return spotifyError(res, 400, 'Invalid track uri');
+    }
+    state.queue.push(trackId);
+    res.status(204).end();
+  });
+
+  app.get('/v1/search', (req, res) => {
+    const q = String(req.query.q || '').toLowerCase();
+    const limit = Number(req.query.limit || 20);
+    const items = [...state.tracks.values()]
+      .filter(track => track.name.toLowerCase().includes(q)
+        || track.artists.some(a => a.name.toLowerCase().includes(q)))
+      .slice(0, limit);
+    res.json({ tracks: { items, total: items.length, limit } });
+  });
+
+  app.get('/v1/tracks/:id', (req, res) => {
+    const track = state.tracks.get(req.params.id);
+    if (!track) {
+      return spotifyError(res, 404, 'Non existing id');
+    }
+    res.json(track);
+  });
+
+  app.get('/v1/artists/:id', (req, res) => {
+    const artist = [...state.tracks.values()].flatMap(t => t.artists).find(a => a.id === req.params.id);
+    if (!artist) {
+      return spotifyError(res, 404, 'Non existing id');
+    }
+    res.json({ ...artist, genres: state.artistGenres[artist.id] || [] });
+  });
+
+  app.get('/v1/artists/:id/related-artists', (req, res) => {
+    res.json({ artists: [] });
+  });
+
+  app.post('/v1/users/:userId/playlists', express.json(), requirePlaylistScope, (req, res) => {
+    if (req.params.userId !== state.userId) {
+      return spotifyError(res, 403, "You cannot create a playlist for another user");
+    }
+    const id = `playlist${state.playlists.size + 1}`;
+    const playlist = { id, name: req.body.name, public: req.body.public ?? true, owner: state.userId, uris: [] };
+    state.playlists.set(id, playlist);
+    res.status(201).json({
+      id,
+      name: playlist.name,
+      public: playlist.public,
+      external_urls: { spotify: `https://open.spotify.com/playlist/${id}` },
+    });
+  });
+
+  app.get('/v1/playlists/:id/tracks', (req, res) => {
+    const playlist = state.playlists.get(req.params.id);
+    if (!playlist) {
+      return spotifyError(res, 404, 'Not found.');
+    }
+    const offset = Number(req.query.offset || 0);
+    const limit = Number(req.query.limit || 100);
+    res.json({
+      items: playlist.uris.slice(offset, offset + limit).map(uri => ({ track: { uri } })),
+      total: playlist.uris.length,
+    });
+  });
+
+  app.post('/v1/playlists/:id/tracks', express.json(), requirePlaylistScope, (req, res) => {
+    const playlist = state.playlists.get(req.params.id);
+    if (!playlist) {
+      return spotifyError(res, 404, 'Not found.');
+    }
+    if (playlist.owner !== state.userId) {
+      return spotifyError(res, 403, 'You cannot add tracks to a playlist you don\'t own.');
+    }
+    const uris = req.body.uris || [];
+    if (uris.length > 100) {
+      return spotifyError(res, 400, 'You can add a maximum of 100 tracks per request.');
+    }
+    playlist.uris.push(...uris);
+    res.status(201).json({ snapshot_id: crypto.randomUUID() });
+  });
+
+  // ---------------------------------------------------------------------------
+  // ReccoBeats
+  // ---------------------------------------------------------------------------
+
+  app.get('/reccobeats/v1/audio-features', (req, res) => {
+    if (state.reccoBeatsDown) {
+      return res.status(503).json({ error: 'Service Unavailable' });
+    }
+    const ids = String(req.query.ids || '').split(',').filter(Boolean);
+    const content = ids
+      .filter(id => state.features[id])
+      .map(id => ({
+        id: crypto.randomUUID(),
+        href: `https://open.spotify.com/track/${id}`,
+        ...state.features[id],
+      }));
+    res.json({ content });
+  });
+
+  // Listen on a free port
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    state,
+    // Make every access token invalid, as if they all expired early
+    expireAccessTokens() {
+      state.accessTokens.clear();
+    },
+    close() {
+      return new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+    },
+  };
+}
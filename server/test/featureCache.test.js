@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFeatureCache } from '../src/featureCache.js';
+import { createBatcher } from '../src/batcher.js';
+
+// Unit tests for the audio features cache and the lookup batcher that sit in
+// front of the feature providers.
+
+const CALM = { energy: 0.3, tempo: 95 };
+const LOUD = { energy: 0.95, tempo: 150 };
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A fetchBatch that answers from `known` and records every call
+function recordingFetch(known) {
+  const calls = [];
+  async function fetchBatch(keys) {
+    calls.push(keys);
+    return new Map(keys.filter(key => key in known).map(key => [key, known[key]]));
+  }
+  return { calls, fetchBatch };
+}
+
+test('the feature cache tells a miss from a cached "not found"', () => {
+  const cache = createFeatureCache();
+  assert.deepEqual(cache.get('calm'), { hit: false });
+
+  cache.set('calm', CALM);
+  cache.set('unknown', null);
+  assert.deepEqual(cache.get('calm'), { hit: true, features: CALM });
+  assert.deepEqual(cache.get('unknown'), { hit: true, features: null });
+  assert.equal(cache.size, 2);
+});
+
+test('"not found" entries expire, features do not', async () => {
+  const cache = createFeatureCache({ negativeTtlMs: 20 });
+  cache.set('calm', CALM);
+  cache.set('unknown', null);
+
+  await sleep(40);
+  assert.deepEqual(cache.get('unknown'), { hit: false });
+  assert.deepEqual(cache.get('calm'), { hit: true, features: CALM });
+  assert.equal(cache.size, 1);
+});
+
+test('the feature cache evicts the least recently used track', () => {
+  const cache = createFeatureCache({ maxEntries: 2 });
+  cache.set('calm', CALM);
+  cache.set('loud', LOUD);
+
+  // Reading calm makes loud the oldest
+  cache.get('calm');
+  cache.set('groove', CALM);
+
+  assert.equal(cache.size, 2);
+  assert.equal(cache.get('loud').hit, false);
+  assert.equal(cache.get('calm').hit, true);
+  assert.equal(cache.get('groove').hit, true);
+});
+
+test('the feature cache survives a save and load', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'feature-cache-test-'));
+  try {
+    const filePath = path.join(dir, 'nested', 'audio-features.json');
+    const saved = createFeatureCache({ filePath });
+    saved.set('calm', CALM);
+    saved.set('unknown', null);
+    await saved.save();
+
+    const loaded = createFeatureCache({ filePath });
+    await loaded.load();
+    assert.deepEqual(loaded.get('calm'), { hit: true, features: CALM });
+    assert.deepEqual(loaded.get('unknown'), { hit: true, features: null });
+
+    // A missing file is an empty cache, not an error
+    const fresh = createFeatureCache({ filePath: path.join(dir, 'missing.json') });
+    await fresh.load();
+    assert.equal(fresh.size, 0);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('concurrent lookups share one batched call', async () => {
+  const { calls, fetchBatch } = recordingFetch({ calm: CALM, loud: LOUD });
+  const batcher = createBatcher({ fetchBatch });
+
+  const results = await Promise.all(['calm', 'loud', 'calm', 'unknown'].map(key => batcher.load(key)));
+  assert.deepEqual(results, [CALM, LOUD, CALM, null]);
+  assert.deepEqual(calls, [['calm', 'loud', 'unknown']]);
+
+  // Later lookups are a new batch
+  assert.deepEqual(await batcher.load('loud'), LOUD);
+  assert.equal(calls.length, 2);
+});
+
+test('batches are split at maxBatchSize', async () => {
+  const known = { a: CALM, b: CALM, c: CALM, d: CALM, e: CALM };
+  const { calls, fetchBatch } = recordingFetch(known);
+  const batcher = createBatcher({ fetchBatch, maxBatchSize: 2 });
+
+  await Promise.all(Object.keys(known).map(key => batcher.load(key)));
+  assert.deepEqual(calls, [['a', 'b'], ['c', 'd'], ['e']]);
+});
+
+test('a failed batch rejects every lookup in it; an Error result rejects only its key', async () => {
+  const failing = createBatcher({
+    fetchBatch: async () => {
+      throw new Error('provider down');
+    },
+  });
+  const outcomes = await Promise.allSettled([failing.load('calm'), failing.load('loud')]);
+  assert.deepEqual(outcomes.map(outcome => outcome.reason?.message), ['provider down', 'provider down']);
+
+  const unavailable = new Error('nobody could look this up');
+  const partial = createBatcher({
+    fetchBatch: async () => new Map([['calm', CALM], ['loud', unavailable]]),
+  });
+  const [calm, loud] = await Promise.allSettled([partial.load('calm'), partial.load('loud')]);
+  assert.deepEqual(calm, { status: 'fulfilled', value: CALM });
+  assert.deepEqual(loud, { status: 'rejected', reason: unavailable });
+});
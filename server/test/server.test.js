@@ -0,0 +1,1129 @@
+import { test, before, beforeEach, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startFakeSpotify, makeTrack } from './fakeSpotify.js';
+
+// End-to-end tests: the real server, started as a child process, talking to
+// the local Spotify/ReccoBeats fake.
+
+const SERVER_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FRONTEND_URL = 'http://party.test';
+const REDIRECT_URI = 'http://party.test/api/auth/callback';
+
+const TRACKS = [
+  makeTrack('calm', 'Calm Waters', 'Slow Band'),
+  makeTrack('loud', 'Loud Noises', 'Fast Band'),
+  makeTrack('nodevice', 'Into The Void'),
+  makeTrack('yeehaw', 'Dusty Road', 'Country Singer'),
+  makeTrack('groove', 'Deep Groove', 'House DJ'),
+  makeTrack('sweary', 'Sweary Song', 'Potty Mouth', { explicit: true }),
+  makeTrack('swearyclean', 'Sweary Song (Clean)', 'Potty Mouth'),
+  makeTrack('cmajor', 'Opener In C'),
+  makeTrack('aminor', 'Relative In A Minor'),
+  makeTrack('ebminor', 'Clash In E Flat Minor'),
+  makeTrack('halftime', 'Half Time In G'),
+  makeTrack('gap1', 'First In Line'),
+  makeTrack('gap2', 'Too Soon'),
+  makeTrack('gap3', 'Birthday Request'),
+  makeTrack('epic', 'Twelve Minute Epic', 'Prog Band', { durationMs: 12 * 60 * 1000 }),
+  makeTrack('obscure', 'Nobody Knows This', 'Bedroom Band', { popularity: 3 }),
+  makeTrack('oldie', 'Golden Oldie', 'Seventies Band', { releaseDate: '1975-06-01' }),
+  makeTrack('capped', 'One Too Many'),
+  makeTrack('shoutout', 'Shout Out', 'Named Band'),
+  makeTrack('outage', 'Power Cut', 'Fast Band'),
+  makeTrack('encore1', 'Encore One'),
+  makeTrack('encore2', 'Encore Two'),
+  makeTrack('airplay', 'On The Radio', 'Radio Band'),
+  ...Array.from({ length: 11 }, (_, i) => makeTrack(`song${i}`, `Song ${i}`)),
+];
+
+const FEATURES = {
+  calm: { energy: 0.3, valence: 0.5, danceability: 0.5, tempo: 95 },
+  loud: { energy: 0.95, valence: 0.8, danceability: 0.8, tempo: 150 },
+  outage: { energy: 0.95, valence: 0.8, danceability: 0.8, tempo: 150 },
+  cmajor: { energy: 0.7, valence: 0.6, danceability: 0.7, tempo: 128, key: 0, mode: 1 },
+  aminor: { energy: 0.7, valence: 0.5, danceability: 0.7, tempo: 126, key: 9, mode: 0 },
+  ebminor: { energy: 0.7, valence: 0.5, danceability: 0.7, tempo: 128, key: 3, mode: 0 },
+  halftime: { energy: 0.5, valence: 0.6, danceability: 0.6, tempo: 64, key: 7, mode: 1 },
+};
+
+const ARTIST_GENRES = {
+  artistCountrySinger: ['contemporary country', 'country road'],
+  artistHouseDJ: ['deep house', 'disco house'],
+};
+
+let fake;
+let serverProcess;
+let serverUrl;
+let dataDir;
+let host; // Client holding the host session of the current test's party
+let party; // API prefix of the current test's party, e.g. /api/p/ABC123
+let partiesStarted = 0;
+
+// Start the server on a free port and resolve with its URL once it's listening
+function startServer(env) {
+  return new Promise((resolve, reject) => {
+    serverProcess = spawn(process.execPath, ['src/index.js'], {
+      cwd: SERVER_DIR,
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let output = '';
+    const onData = chunk => {
+      output += chunk;
+      const match = output.match(/running on port (\d+)/);
+      if (match) {
+        serverProcess.stdout.off('data', onData);
+        resolve(`http://127.0.0.1:${match[1]}`);
+      }
+    };
+    serverProcess.stdout.on('data', onData);
+    serverProcess.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    serverProcess.on('exit', code => reject(new Error(`Server exited (${code}):\n${output}`)));
+  });
+}
+
+// A browser-like client: keeps cookies between requests and doesn't follow
+// redirects. `headers` are sent with every request.
+function createClient(headers = {}) {
+  const cookies = new Map();
+
+  return async function request(pathname, { body, ...options } = {}) {
+    const response = await fetch(`${serverUrl}${pathname}`, {
+      redirect: 'manual',
+      ...options,
+      headers: {
+        ...headers,
+        ...(body && { 'Content-Type': 'application/json' }),
+        cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; '),
+        ...options.headers,
+      },
+      body: body && JSON.stringify(body),
+    });
+
+    for (const header of response.headers.getSetCookie()) {
+      const [pair] = header.split(';');
+      const separator = pair.indexOf('=');
+      cookies.set(pair.slice(0, separator), pair.slice(separator + 1));
+    }
+    return response;
+  };
+}
+
+// Log a client in to a party's Spotify through the fake accounts service
+async function connectSpotify(client, code) {
+  const login = await client(`/api/p/${code}/auth/login`);
+  const approval = await fetch(login.headers.get('location'), { redirect: 'manual' });
+  return client(`/api/auth/callback${new URL(approval.headers.get('location')).search}`);
+}
+
+// Start a party with the fake host account connected. Each one comes from
+// its own address, since an IP can only start a few parties an hour.
+async function startParty() {
+  partiesStarted++;
+  const client = createClient({ 'X-Forwarded-For': `10.0.${partiesStarted >> 8}.${partiesStarted & 255}` });
+  const { code } = await (await client('/api/parties', { method: 'POST' })).json();
+  await connectSpotify(client, code);
+  return { host: client, party: `/api/p/${code}` };
+}
+
+// A guest that has loaded the page (and so has a device cookie)
+async function createGuest() {
+  const guest = createClient();
+  await guest(`${party}/rate-limit`);
+  return guest;
+}
+
+// Poll `check` until it returns something truthy (or give up)
+async function waitFor(check, timeoutMs = 8000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+function addToQueue(client, trackId) {
+  return client(`${party}/queue`, { method: 'POST', body: { uri: `spotify:track:${trackId}` } });
+}
+
+// Play a track and wait for the party's poller (which only runs while someone
+// is listening for events) to record it
+async function play(trackId) {
+  fake.state.playing = { trackId, progressMs: 1000 };
+  const listener = new AbortController();
+  await createClient()(`${party}/events`, { signal: listener.signal });
+  try {
+    await waitFor(async () => {
+      const { entries } = await (await host(`${party}/history/export?format=json`)).json();
+      return entries.some(entry => entry.type === 'played' && entry.trackId === trackId);
+    });
+  } finally {
+    listener.abort();
+  }
+}
+
+before(async () => {
+  fake = await startFakeSpotify({ tracks: TRACKS, features: FEATURES, artistGenres: ARTIST_GENRES });
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'party-queue-test-'));
+
+  serverUrl = await startServer({
+    PORT: '0',
+    NODE_ENV: 'test',
+    SPOTIFY_CLIENT_ID: 'test-client-id',
+    SPOTIFY_CLIENT_SECRET: 'test-client-secret',
+    SPOTIFY_REDIRECT_URI: REDIRECT_URI,
+    SESSION_SECRET: 'test-session-secret',
+    FRONTEND_URL,
+    SPOTIFY_API_URL: `${fake.url}/v1`,
+    SPOTIFY_ACCOUNTS_URL: fake.url,
+    RECCOBEATS_API_URL: `${fake.url}/reccobeats`,
+    AUDIO_FEATURE_PROVIDERS: 'reccobeats',
+    TOKEN_STORE: 'memory',
+    FEATURE_CACHE_PATH: path.join(dataDir, 'audio-features.json'),
+    PARTY_DATA_DIR: path.join(dataDir, 'parties'),
+    BLOCKLIST_DIR: path.join(dataDir, 'blocklists'),
+    MAX_PARTIES: '200',
+  });
+});
+
+// Every test gets its own party, and a Spotify with nothing playing or queued
+beforeEach(async () => {
+  Object.assign(fake.state, { playing: null, activeDevice: true, queue: [], reccoBeatsDown: false });
+  ({ host, party } = await startParty());
+});
+
+// Disconnect it again, so its poller can't hand leftover requests to the
+// Spotify the next test uses
+afterEach(async () => {
+  await host(`${party}/auth/logout`, { method: 'POST' });
+});
+
+after(async () => {
+  if (serverProcess && serverProcess.exitCode === null) {
+    serverProcess.removeAllListeners('exit');
+    const exited = new Promise(resolve => serverProcess.once('exit', resolve));
+    serverProcess.kill('SIGTERM');
+    await exited;
+  }
+  await fake?.close();
+  if (dataDir) {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('OAuth callback exchanges the code and makes this browser the host', async () => {
+  const browser = createClient();
+
+  const created = await browser('/api/parties', { method: 'POST' });
+  assert.equal(created.status, 201);
+  const { code } = await created.json();
+  assert.match(code, /^[A-Z2-9]{6}$/);
+  const started = `/api/p/${code}`;
+
+  const login = await browser(`${started}/auth/login?returnTo=/p/${code}/host`);
+  assert.equal(login.status, 302);
+  const authorizeUrl = new URL(login.headers.get('location'));
+  assert.equal(authorizeUrl.origin, fake.url);
+  assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+
+  // The fake accounts service approves and redirects back with a code
+  const approval = await fetch(authorizeUrl, { redirect: 'manual' });
+  const callbackUrl = new URL(approval.headers.get('location'));
+  assert.equal(`${callbackUrl.origin}${callbackUrl.pathname}`, REDIRECT_URI);
+
+  const callback = await browser(`/api/auth/callback${callbackUrl.search}`);
+  assert.equal(callback.status, 302);
+  assert.equal(callback.headers.get('location'), `${FRONTEND_URL}/p/${code}/host?authenticated=true`);
+
+  const status = await (await browser(`${started}/auth/status`)).json();
+  assert.equal(status.authenticated, true);
+  assert.equal(status.isHost, true);
+
+  // Guests are authenticated against the same Spotify account, but aren't the host
+  const guestStatus = await (await createClient()(`${started}/auth/status`)).json();
+  assert.equal(guestStatus.authenticated, true);
+  assert.equal(guestStatus.isHost, false);
+});
+
+test('OAuth callback rejects a reused state', async () => {
+  const client = createClient();
+  const login = await client(`${party}/auth/login`);
+  const approval = await fetch(login.headers.get('location'), { redirect: 'manual' });
+  const { search } = new URL(approval.headers.get('location'));
+
+  await client(`/api/auth/callback${search}`);
+  const replay = await client(`/api/auth/callback${search}`);
+  assert.equal(replay.headers.get('location'), `${FRONTEND_URL}?error=state_mismatch`);
+});
+
+test('an expired access token is refreshed and the request retried', async () => {
+  fake.expireAccessTokens();
+  const callsBefore = fake.state.calls.length;
+
+  const response = await createClient()(`${party}/search?q=calm`);
+  assert.equal(response.status, 200);
+  const data = await response.json();
+  assert.deepEqual(data.tracks.map(t => t.id), ['calm']);
+
+  const calls = fake.state.calls.slice(callsBefore);
+  assert.ok(calls.includes('POST /api/token'), 'expected a token refresh');
+  assert.equal(calls.filter(call => call === 'GET /v1/search').length, 2, 'expected the search to be retried');
+});
+
+test('songs that clash with the vibe are rejected', async () => {
+  const setVibe = await host(`${party}/vibe`, { method: 'POST', body: { preset: 'chill' } });
+  assert.equal(setVibe.status, 200);
+
+  try {
+    const guest = await createGuest();
+
+    const rejected = await addToQueue(guest, 'loud');
+    assert.equal(rejected.status, 403);
+    const body = await rejected.json();
+    assert.equal(body.error, 'vibe_mismatch');
+    assert.match(body.reason, /energy/i);
+
+    const accepted = await addToQueue(guest, 'calm');
+    assert.equal(accepted.status, 200);
+  } finally {
+    await host(`${party}/vibe`, { method: 'POST', body: { preset: 'match' } });
+  }
+});
+
+test('harmonic mode only accepts keys that mix with now-playing', async () => {
+  fake.state.playing = { trackId: 'cmajor', progressMs: 1000 };
+  await host(`${party}/vibe`, { method: 'POST', body: { preset: 'harmonic' } });
+
+  try {
+    // C major is 8B: 8A (A minor) is its relative, 2A (E flat minor) is across the wheel
+    const relative = await waitFor(async () => {
+      const check = await (await createClient()(`${party}/vibe/check/aminor`)).json();
+      return check.harmonic && check;
+    });
+    assert.equal(relative.matches, true);
+    assert.deepEqual(relative.harmonic, { compatible: true, track: '8A', reference: '8B', reason: null });
+
+    const rejected = await addToQueue(await createGuest(), 'ebminor');
+    assert.equal(rejected.status, 403);
+    const body = await rejected.json();
+    assert.equal(body.error, 'vibe_mismatch');
+    assert.equal(body.reason, "Key clash: Eb minor (2A) won't mix with C major (8B) - needs 8B, 7B, 9B, 8A");
+
+    // G major (9B) at 64 BPM is half-time against 128 BPM...
+    const halfTime = await (await createClient()(`${party}/vibe/check/halftime`)).json();
+    assert.equal(halfTime.matches, true);
+
+    // ...but not once half/double-time matching is turned off
+    await host(`${party}/vibe`, { method: 'POST', body: { preset: 'harmonic', customSettings: { halfDoubleTime: false } } });
+    const strict = await (await createClient()(`${party}/vibe/check/halftime`)).json();
+    assert.equal(strict.matches, false);
+    assert.equal(strict.reason, 'Tempo is too slow');
+  } finally {
+    fake.state.playing = null;
+    await host(`${party}/vibe`, { method: 'POST', body: { preset: 'match' } });
+  }
+});
+
+test('search results can be checked against the vibe in one batch', async () => {
+  for (const trackIds of [['not an id!'], 5, {}, 'abc', Array(51).fill('song0')]) {
+    const invalid = await createClient()(`${party}/vibe/check`, { method: 'POST', body: { trackIds } });
+    assert.equal(invalid.status, 400);
+  }
+
+  fake.state.playing = { trackId: 'cmajor', progressMs: 1000 };
+  await host(`${party}/vibe`, { method: 'POST', body: { preset: 'harmonic' } });
+
+  try {
+    await waitFor(async () => (await (await createClient()(`${party}/now-playing`)).json()).track);
+    const callsBefore = fake.state.calls.length;
+    const response = await createClient()(`${party}/vibe/check`, {
+      method: 'POST',
+      body: { trackIds: ['aminor', 'ebminor', 'halftime', 'song0'] },
+    });
+    assert.equal(response.status, 200);
+    const { vibeEnabled, results } = await response.json();
+    assert.equal(vibeEnabled, true);
+    assert.equal(results.aminor.matches, true);
+    assert.equal(results.ebminor.matches, false);
+    assert.match(results.ebminor.reason, /^Key clash/);
+    assert.equal(results.halftime.matches, true);
+    assert.deepEqual(results.song0, { matches: true, note: 'No audio features for this song' });
+
+    // Now playing is looked up once for the whole batch
+    const calls = fake.state.calls.slice(callsBefore);
+    assert.ok(calls.filter(call => call === 'GET /v1/me/player/currently-playing').length <= 1);
+  } finally {
+    fake.state.playing = null;
+    await host(`${party}/vibe`, { method: 'POST', body: { preset: 'match' } });
+  }
+});
+
+test('a ReccoBeats outage lets songs through without forgetting their features', async () => {
+  await host(`${party}/vibe`, { method: 'POST', body: { preset: 'chill' } });
+  fake.state.reccoBeatsDown = true;
+
+  try {
+    // Fail open: nothing to check the song against, so it's allowed
+    const during = await (await createClient()(`${party}/vibe/check/outage`)).json();
+    assert.equal(during.matches, true);
+    assert.equal(during.note, 'No audio features for this song');
+
+    // Once ReccoBeats is back the song is looked up again rather than
+    // remembered as "not found"
+    fake.state.reccoBeatsDown = false;
+    const after = await (await createClient()(`${party}/vibe/check/outage`)).json();
+    assert.equal(after.matches, false);
+    assert.equal(after.reason, 'Energy is too intense');
+  } finally {
+    fake.state.reccoBeatsDown = false;
+    await host(`${party}/vibe`, { method: 'POST', body: { preset: 'match' } });
+  }
+});
+
+test('the energy arc centers the vibe window on the host\'s curve', async () => {
+  // HH:MM in UTC, offset from now
+  const utcTime = (offsetMinutes) => new Date(Date.now() + offsetMinutes * 60 * 1000).toISOString().slice(11, 16);
+
+  const outOfOrder = await host(`${party}/vibe/arc`, {
+    method: 'PUT',
+    body: { timeZone: 'UTC', points: [{ at: '22:00', energy: 0.5 }, { at: '22:00', energy: 0.9 }] },
+  });
+  assert.equal(outOfOrder.status, 400);
+
+  // Halfway from 0.2 energy / 90 BPM an hour ago to 0.8 / 130 in an hour
+  const setArc = await host(`${party}/vibe/arc`, {
+    method: 'PUT',
+    body: {
+      timeZone: 'UTC',
+      points: [
+        { at: utcTime(-60), energy: 0.2, tempo: 90 },
+        { at: utcTime(60), energy: 0.8, tempo: 130 },
+      ],
+    },
+  });
+  assert.equal(setArc.status, 200);
+  await host(`${party}/vibe`, { method: 'POST', body: { preset: 'arc', customSettings: { tolerance: { energy: 0.25, tempo: 20 } } } });
+
+  try {
+    const vibe = await (await createClient()(`${party}/vibe`)).json();
+    assert.equal(vibe.currentPreset, 'arc');
+    assert.ok(Math.abs(vibe.energyArc.target.energy - 0.5) < 0.05);
+    assert.ok(Math.abs(vibe.energyArc.target.tempo - 110) < 3);
+
+    const calm = await (await createClient()(`${party}/vibe/check/calm`)).json();
+    assert.equal(calm.matches, true);
+
+    const loud = await (await createClient()(`${party}/vibe/check/loud`)).json();
+    assert.equal(loud.matches, false);
+    assert.equal(loud.reason, 'Energy is too intense');
+    assert.ok(Math.abs(loud.arcTarget.energy - 0.5) < 0.05);
+  } finally {
+    await host(`${party}/vibe/arc`, { method: 'DELETE' });
+    await host(`${party}/vibe`, { method: 'POST', body: { preset: 'match' } });
+  }
+});
+
+test('custom vibe settings have to be numbers in range', async () => {
+  for (const [preset, customSettings] of [
+    ['custom', { energy: { min: 'low', max: 1 } }],
+    ['custom', { valence: { min: 0.8, max: 0.2 } }],
+    ['custom', 'loud'],
+    ['match', { tolerance: { tempo: '35' } }],
+    ['match', { tolerance: { energy: -0.1 } }],
+    ['arc', { tolerance: 5 }],
+    ['harmonic', { halfDoubleTime: 'no' }],
+  ]) {
+    const response = await host(`${party}/vibe`, { method: 'POST', body: { preset, customSettings } });
+    assert.equal(response.status, 400, JSON.stringify(customSettings));
+    assert.equal((await response.json()).error, 'Invalid vibe settings');
+  }
+
+  // Anything the preset doesn't use is dropped rather than merged in
+  const custom = await host(`${party}/vibe`, {
+    method: 'POST',
+    body: { preset: 'custom', customSettings: { energy: { min: 0.2, max: 0.4 }, enabled: false, name: 'Sneaky' } },
+  });
+  assert.equal(custom.status, 200);
+  const { settings } = await custom.json();
+  assert.deepEqual(settings.energy, { min: 0.2, max: 0.4 });
+  assert.equal(settings.enabled, true);
+  assert.equal(settings.name, 'Custom');
+});
+
+test('guests cannot change the vibe', async () => {
+  const response = await createClient()(`${party}/vibe`, { method: 'POST', body: { preset: 'party' } });
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).error, 'host_auth_required');
+});
+
+test('genre rules block and allow by artist genre', async () => {
+  const setRules = await host(`${party}/vibe/genres`, { method: 'POST', body: { block: 'Country' } });
+  assert.deepEqual((await setRules.json()).genreRules, { allow: [], block: ['country'], allowUnknown: false });
+
+  try {
+    const rejected = await addToQueue(await createGuest(), 'yeehaw');
+    assert.equal(rejected.status, 403);
+    const body = await rejected.json();
+    assert.equal(body.error, 'vibe_mismatch');
+    assert.equal(body.reason, 'No country tonight (Country Singer is contemporary country)');
+    assert.deepEqual(body.genreRule, { type: 'block', term: 'country' });
+
+    // Allowlist: substring matches against every genre of the artist
+    await host(`${party}/vibe/genres`, { method: 'POST', body: { allow: ['house', 'techno'], block: [] } });
+    const country = await (await createClient()(`${party}/vibe/check/yeehaw`)).json();
+    assert.equal(country.matches, false);
+    assert.equal(country.reason, 'Tonight is house / techno only');
+
+    const house = await (await createClient()(`${party}/vibe/check/groove`)).json();
+    assert.equal(house.matches, true);
+
+    // Artists Spotify has no genres for only get past an allowlist if the host says so
+    const unknown = await (await createClient()(`${party}/vibe/check/calm`)).json();
+    assert.equal(unknown.matches, false);
+    assert.equal(unknown.reason, 'Tonight is house / techno only, and Spotify has no genres for this artist');
+    await host(`${party}/vibe/genres`, { method: 'POST', body: { allowUnknown: true } });
+    assert.equal((await (await createClient()(`${party}/vibe/check/calm`)).json()).matches, true);
+
+    const vibe = await (await createClient()(`${party}/vibe`)).json();
+    assert.deepEqual(vibe.genreRules, { allow: ['house', 'techno'], block: [], allowUnknown: true });
+  } finally {
+    await host(`${party}/vibe/genres`, { method: 'POST', body: { allow: [], block: [], allowUnknown: false } });
+  }
+});
+
+test('the vibe schedule switches presets, eases in and reports what is next', async () => {
+  // HH:MM in UTC, offset from now
+  const utcTime = (offsetMinutes) => new Date(Date.now() + offsetMinutes * 60 * 1000).toISOString().slice(11, 16);
+
+  await host(`${party}/vibe`, { method: 'POST', body: { preset: 'chill' } });
+  try {
+    const invalid = await host(`${party}/vibe/schedule`, {
+      method: 'PUT',
+      body: { timeZone: 'Mars/Olympus', entries: [{ at: '20:00', preset: 'chill' }] },
+    });
+    assert.equal(invalid.status, 400);
+
+    // Custom settings have to be numbers in range
+    for (const entry of [
+      { at: '20:00', preset: 'custom', customSettings: { energy: { min: 'low', max: 1 } } },
+      { at: '20:00', preset: 'custom', customSettings: { tempo: { min: 140, max: 90 } } },
+      { at: '20:00', preset: 'match', customSettings: { tolerance: { energy: null } } },
+      { at: '20:00', preset: 'arc', customSettings: { tolerance: { tempo: 1e9 } } },
+    ]) {
+      const badSettings = await host(`${party}/vibe/schedule`, { method: 'PUT', body: { timeZone: 'UTC', entries: [entry] } });
+      assert.equal(badSettings.status, 400, JSON.stringify(entry));
+    }
+
+    const guest = await createClient()(`${party}/vibe/schedule`, {
+      method: 'PUT',
+      body: { entries: [{ at: '20:00', preset: 'party' }] },
+    });
+    assert.equal(guest.status, 401);
+
+    // Party started a minute ago with a 10 minute ease, chill returns in two hours
+    const setSchedule = await host(`${party}/vibe/schedule`, {
+      method: 'PUT',
+      body: {
+        timeZone: 'UTC',
+        entries: [
+          { at: utcTime(120), preset: 'chill' },
+          { at: utcTime(-1), preset: 'party', easeMinutes: 10 },
+        ],
+      },
+    });
+    assert.equal(setSchedule.status, 200);
+
+    const vibe = await (await createClient()(`${party}/vibe`)).json();
+    assert.equal(vibe.currentPreset, 'party');
+    assert.ok(vibe.settings.energy.min > 0.1 && vibe.settings.energy.min < 0.6);
+    assert.equal(vibe.schedule.transition.to, 'party');
+    assert.equal(vibe.schedule.upcoming[0].preset, 'chill');
+    assert.equal(vibe.schedule.upcoming[0].time, utcTime(120));
+    assert.ok(new Date(vibe.schedule.upcoming[0].at) > new Date());
+
+    // Dropping the schedule finishes the change
+    await host(`${party}/vibe/schedule`, { method: 'DELETE' });
+    const after = await (await createClient()(`${party}/vibe`)).json();
+    assert.equal(after.schedule, null);
+    assert.equal(after.settings.energy.min, 0.6);
+  } finally {
+    await host(`${party}/vibe/schedule`, { method: 'DELETE' });
+    await host(`${party}/vibe`, { method: 'POST', body: { preset: 'match' } });
+  }
+});
+
+test('the explicit filter labels or hides explicit tracks and rejects them', async () => {
+  const search = async () => (await createClient()(`${party}/search?q=sweary`)).json();
+
+  const unfiltered = await search();
+  assert.equal(unfiltered.explicitFilter, false);
+  assert.deepEqual(unfiltered.tracks.map(t => [t.id, t.explicit]), [['sweary', true], ['swearyclean', false]]);
+
+  await host(`${party}/vibe/explicit`, { method: 'POST', body: { enabled: true } });
+  try {
+    const labelled = await search();
+    assert.equal(labelled.explicitFilter, true);
+    assert.equal(labelled.tracks.length, 2);
+
+    const rejected = await addToQueue(await createGuest(), 'sweary');
+    assert.equal(rejected.status, 403);
+    assert.equal((await rejected.json()).error, 'explicit_blocked');
+
+    await host(`${party}/vibe/explicit`, { method: 'POST', body: { hideInSearch: true } });
+    const hidden = await search();
+    assert.deepEqual(hidden.tracks.map(t => t.id), ['swearyclean']);
+  } finally {
+    await host(`${party}/vibe/explicit`, { method: 'POST', body: { enabled: false, hideInSearch: false } });
+  }
+});
+
+test('blocked tracks, artists and title keywords are rejected and marked in search', async () => {
+  const block = body => host(`${party}/blocklist`, { method: 'POST', body });
+
+  const guestAttempt = await createClient()(`${party}/blocklist`, { method: 'POST', body: { type: 'track', value: 'calm' } });
+  assert.equal(guestAttempt.status, 401);
+
+  const byTrack = await block({ type: 'track', value: 'spotify:track:song0', label: 'That one song' });
+  assert.equal(byTrack.status, 201);
+  const byArtist = await block({ type: 'artist', value: 'https://open.spotify.com/artist/artistPottyMouth?si=x' });
+  const byKeyword = await block({ type: 'keyword', value: 'Into*Void' });
+  assert.equal((await block({ type: 'track', value: 'song0' })).status, 409);
+  assert.equal((await block({ type: 'genre', value: 'polka' })).status, 400);
+
+  await host(`${party}/blocklist/message`, { method: 'PUT', body: { message: 'Not tonight, Dave.' } });
+
+  try {
+    const guest = await createGuest();
+    for (const trackId of ['song0', 'swearyclean', 'nodevice']) {
+      const response = await addToQueue(guest, trackId);
+      assert.equal(response.status, 403, `${trackId} should be blocked`);
+      assert.deepEqual(await response.json(), { error: 'blocked', message: 'Not tonight, Dave.' });
+    }
+
+    // The search pre-check agrees with the queue
+    const { results } = await (await createClient()(`${party}/vibe/check`, {
+      method: 'POST',
+      body: { trackIds: ['song0', 'calm'] },
+    })).json();
+    assert.deepEqual(results.song0, { matches: false, reason: 'Not tonight, Dave.' });
+    assert.equal(results.calm.matches, true);
+
+    const search = await (await createClient()(`${party}/search?q=sweary`)).json();
+    assert.equal(search.blockedMessage, 'Not tonight, Dave.');
+    assert.deepEqual(search.tracks.map(t => t.blocked), [true, true]);
+
+    const { entries } = await (await host(`${party}/blocklist`)).json();
+    assert.deepEqual(entries.map(e => [e.type, e.value]), [
+      ['track', 'song0'],
+      ['artist', 'artistPottyMouth'],
+      ['keyword', 'into*void'],
+    ]);
+  } finally {
+    for (const response of [byTrack, byArtist, byKeyword]) {
+      const { entry } = await response.json();
+      await host(`${party}/blocklist/${entry.id}`, { method: 'DELETE' });
+    }
+  }
+
+  const unblocked = await (await createClient()(`${party}/search?q=sweary`)).json();
+  assert.deepEqual(unblocked.tracks.map(t => t.blocked), [false, false]);
+});
+
+test('queueing without an active device returns 404', async () => {
+  fake.state.activeDevice = false;
+
+  try {
+    const response = await addToQueue(await createGuest(), 'nodevice');
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error, 'No active device found');
+  } finally {
+    fake.state.activeDevice = true;
+  }
+});
+
+test('a malformed device cookie gets a fresh one instead of an error', async () => {
+  // Bad escapes, and a signature as long as a real one but with a multibyte character
+  for (const cookie of ['elq_guest=%E0%A4%A', `elq_guest=abc.\u00fc${'a'.repeat(42)}`]) {
+    const response = await fetch(`${serverUrl}${party}/rate-limit`, { headers: { cookie } });
+    assert.equal(response.status, 200, cookie);
+    assert.match(response.headers.get('set-cookie'), /^elq_guest=/);
+  }
+});
+
+test('a tampered device cookie is replaced rather than trusted', async () => {
+  const issued = await fetch(`${serverUrl}${party}/rate-limit`);
+  const [cookie] = issued.headers.get('set-cookie').split(';');
+  const [, signature] = cookie.split('.');
+  const setNickname = cookie => fetch(`${serverUrl}${party}/me/nickname`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', cookie },
+    body: JSON.stringify({ nickname: 'Impostor' }),
+  });
+
+  // Someone else's id with this device's signature
+  const tampered = await setNickname(`elq_guest=${crypto.randomUUID()}.${signature}`);
+  assert.equal(tampered.status, 403);
+  assert.equal((await tampered.json()).error, 'cookies_required');
+  const [replacement] = tampered.headers.get('set-cookie').split(';');
+  assert.notEqual(replacement, cookie);
+
+  assert.equal((await setNickname(cookie)).status, 200);
+  assert.equal((await setNickname(replacement)).status, 200);
+});
+
+test('clients without cookies share one identity per IP', async () => {
+  const addWithoutCookies = (trackId, headers = {}) => fetch(`${serverUrl}${party}/queue`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ uri: `spotify:track:${trackId}` }),
+  });
+  for (const response of [
+    await addWithoutCookies('song0'),
+    await addWithoutCookies('song1'),
+    await addWithoutCookies('song2', { 'X-Forwarded-For': '10.99.0.1' }),
+  ]) {
+    assert.equal(response.status, 200);
+  }
+
+  const { entries } = await (await host(`${party}/history/export?format=json`)).json();
+  const guestOf = trackId => entries.find(entry => entry.type === 'request' && entry.trackId === trackId).guestId;
+  assert.match(guestOf('song0'), /^ip-/);
+  assert.equal(guestOf('song1'), guestOf('song0'));
+  assert.match(guestOf('song2'), /^ip-/);
+  assert.notEqual(guestOf('song2'), guestOf('song0'));
+
+  // Sharing an IP's id keeps them out of the host's list of recent guests
+  const { recentGuests } = await (await host(`${party}/rate-limit/policy`)).json();
+  assert.deepEqual(recentGuests, []);
+});
+
+test('each guest can add 10 songs per hour', async () => {
+  const guest = await createGuest();
+
+  for (let i = 0; i < 10; i++) {
+    const response = await addToQueue(guest, `song${i}`);
+    assert.equal(response.status, 200, `song ${i} should be accepted`);
+  }
+
+  const limited = await addToQueue(guest, 'song10');
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).remaining, 0);
+
+  // Another guest on the same network still has their own allowance
+  const other = await addToQueue(await createGuest(), 'song10');
+  assert.equal(other.status, 200);
+});
+
+test('the host can set a cooldown and give one guest unlimited adds', async () => {
+  const guestChange = await createClient()(`${party}/rate-limit/policy`, { method: 'PUT', body: { minGapSeconds: 60 } });
+  assert.equal(guestChange.status, 401);
+
+  const invalid = await host(`${party}/rate-limit/policy`, { method: 'PUT', body: { capacity: 0 } });
+  assert.equal(invalid.status, 400);
+
+  const setPolicy = await host(`${party}/rate-limit/policy`, { method: 'PUT', body: { minGapSeconds: 60 } });
+  assert.equal((await setPolicy.json()).policy.minGapSeconds, 60);
+
+  const guest = await createGuest();
+  try {
+    assert.equal((await addToQueue(guest, 'gap1')).status, 200);
+
+    const tooSoon = await addToQueue(guest, 'gap2');
+    assert.equal(tooSoon.status, 429);
+    const body = await tooSoon.json();
+    assert.equal(body.reason, 'cooldown');
+    assert.match(body.message, /^Give it 60 seconds between songs\. Try again in \d+ second\(s\)\.$/);
+
+    const status = await (await guest(`${party}/rate-limit`)).json();
+    assert.equal(status.remaining, 9);
+    assert.equal(status.policy.minGapSeconds, 60);
+    assert.ok(status.nextAddAt);
+
+    // The host finds the guest among recent requesters and lifts their limits
+    const { recentGuests } = await (await host(`${party}/rate-limit/policy`)).json();
+    const { guestId } = recentGuests[0];
+    assert.equal(recentGuests[0].lastRequest, 'First In Line');
+    await host(`${party}/rate-limit/overrides/${guestId}`, {
+      method: 'PUT',
+      body: { label: 'Birthday', unlimited: true },
+    });
+
+    assert.equal((await addToQueue(guest, 'gap3')).status, 200);
+    const unlimited = await (await guest(`${party}/rate-limit`)).json();
+    assert.equal(unlimited.unlimited, true);
+    assert.deepEqual(unlimited.override, { label: 'Birthday' });
+
+    const { overrides } = await (await host(`${party}/rate-limit/policy`)).json();
+    assert.equal(overrides.length, 1);
+    assert.equal((await host(`${party}/rate-limit/overrides/${guestId}`, { method: 'DELETE' })).status, 200);
+  } finally {
+    await host(`${party}/rate-limit/policy`, { method: 'PUT', body: { minGapSeconds: 0 } });
+  }
+});
+
+test('admission rules reject by length, popularity, release year and artist', async () => {
+  for (const type of ['vibes', '__proto__', 'constructor', 'toString']) {
+    const unknown = await host(`${party}/admission-rules`, { method: 'POST', body: { type, options: {} } });
+    assert.equal(unknown.status, 400, type);
+  }
+  const badOptions = await host(`${party}/admission-rules`, { method: 'POST', body: { type: 'duration', options: {} } });
+  assert.equal(badOptions.status, 400);
+
+  const ruleIds = [];
+  const addRule = async (type, options) => {
+    const response = await host(`${party}/admission-rules`, { method: 'POST', body: { type, options } });
+    assert.equal(response.status, 201);
+    const { rule } = await response.json();
+    ruleIds.push(rule.id);
+    return rule;
+  };
+
+  // Two Test Artist songs this hour, before any rules are set
+  const fan = await createGuest();
+  for (const trackId of ['encore1', 'encore2']) {
+    assert.equal((await addToQueue(fan, trackId)).status, 200);
+  }
+
+  try {
+    await addRule('duration', { maxMinutes: 10 });
+    await addRule('popularity', { min: 20 });
+    await addRule('release_year', { from: 1990 });
+    const artistCap = await addRule('artist_per_hour', { max: 2 });
+
+    const rejections = {};
+    for (const trackId of ['epic', 'obscure', 'oldie', 'capped']) {
+      const response = await addToQueue(await createGuest(), trackId);
+      assert.equal(response.status, 403, `${trackId} should be rejected`);
+      rejections[trackId] = await response.json();
+    }
+    assert.equal(rejections.epic.error, 'admission_rejected');
+    assert.equal(rejections.epic.code, 'too_long');
+    assert.equal(rejections.epic.reason, 'Songs over 10:00 are off tonight');
+    assert.equal(rejections.obscure.code, 'not_popular_enough');
+    assert.equal(rejections.oldie.code, 'too_old');
+    assert.equal(rejections.oldie.reason, 'Tonight is 1990 onwards only (this one is from 1975)');
+    assert.equal(rejections.capped.code, 'artist_cap');
+    assert.equal(rejections.capped.reason, 'Test Artist has had 2 songs this hour - give someone else a turn');
+    assert.deepEqual(rejections.capped.rule, { id: artistCap.id, type: 'artist_per_hour' });
+
+    // Switching a rule off lets the song through
+    await host(`${party}/admission-rules/${artistCap.id}`, { method: 'PATCH', body: { enabled: false } });
+    assert.equal((await addToQueue(await createGuest(), 'capped')).status, 200);
+
+    const { rules, types } = await (await host(`${party}/admission-rules`)).json();
+    assert.equal(rules.length, 4);
+    assert.equal(rules[3].enabled, false);
+    assert.ok(types.some(type => type.id === 'release_year'));
+  } finally {
+    for (const ruleId of ruleIds) {
+      await host(`${party}/admission-rules/${ruleId}`, { method: 'DELETE' });
+    }
+  }
+});
+
+test('guests can set a nickname that shows on the songs they add', async () => {
+  const unverified = await createClient()(`${party}/me/nickname`, { method: 'PUT', body: { nickname: 'Ghost' } });
+  assert.equal(unverified.status, 403);
+  assert.equal((await unverified.json()).error, 'cookies_required');
+
+  const guest = await createGuest();
+  const tooLong = await guest(`${party}/me/nickname`, { method: 'PUT', body: { nickname: 'x'.repeat(25) } });
+  assert.equal(tooLong.status, 400);
+
+  const saved = await guest(`${party}/me/nickname`, { method: 'PUT', body: { nickname: '  DJ Sam ' } });
+  assert.equal(saved.status, 200);
+  assert.deepEqual(await (await guest(`${party}/me`)).json(), { nickname: 'DJ Sam', canSetNickname: true });
+
+  assert.equal((await addToQueue(guest, 'shoutout')).status, 200);
+  const { queue } = await (await createClient()(`${party}/queue`)).json();
+  const added = queue.find(track => track.id === 'shoutout');
+  assert.equal(added.requestedBy, 'DJ Sam');
+
+  const { entries } = await (await host(`${party}/history/export?format=json`)).json();
+  const request = entries.find(entry => entry.type === 'request' && entry.trackId === 'shoutout');
+  assert.equal(request.nickname, 'DJ Sam');
+});
+
+test('songs already waiting or just played are turned away as duplicates', async () => {
+  // The host queued one straight from Spotify; a long song is playing
+  fake.state.queue = ['song1'];
+  fake.state.playing = { trackId: 'epic', progressMs: 1000 };
+
+  const expectDuplicate = async (trackId, reason) => {
+    const response = await addToQueue(await createGuest(), trackId);
+    assert.equal(response.status, 409, trackId);
+    const body = await response.json();
+    assert.equal(body.error, 'duplicate');
+    assert.equal(body.reason, reason);
+    return body;
+  };
+
+  // Waiting in the server's queue
+  assert.equal((await addToQueue(await createGuest(), 'song0')).status, 200);
+  const pending = await expectDuplicate('song0', 'already_queued');
+  assert.equal(pending.message, 'This song is already in the queue');
+  assert.equal(pending.availableAt, null);
+
+  // Already in Spotify's own queue
+  await expectDuplicate('song1', 'already_queued');
+
+  // Playing now, so it's on the replay cooldown
+  const replay = await expectDuplicate('epic', 'recently_played');
+  assert.match(replay.message, /^This song played recently\. Songs can be replayed after 60 minutes\.$/);
+  assert.ok(new Date(replay.availableAt) > new Date(Date.now() + 59 * 60 * 1000));
+
+  const { entries } = await (await host(`${party}/history/export?format=json`)).json();
+  assert.deepEqual(
+    entries.filter(entry => entry.outcome === 'rejected').map(entry => [entry.trackId, entry.reason]),
+    [['song0', 'already_queued'], ['song1', 'already_queued'], ['epic', 'recently_played']],
+  );
+});
+
+test('guests take turns, and each request goes to Spotify only as the song before it ends', async () => {
+  // A long song is playing, so requests wait in the server's queue
+  fake.state.playing = { trackId: 'epic', progressMs: 1000 };
+  const [alice, bob] = [await createGuest(), await createGuest()];
+  for (const [guest, trackId] of [[alice, 'song0'], [alice, 'song1'], [bob, 'song2']]) {
+    assert.equal((await addToQueue(guest, trackId)).status, 200);
+  }
+  // Each add checked whether to hand off, but most of the song is left
+  assert.deepEqual(fake.state.queue, []);
+  const { queue } = await (await createClient()(`${party}/queue`)).json();
+  assert.deepEqual(queue.filter(track => track.pending).map(track => track.id), ['song0', 'song2', 'song1']);
+
+  // Under 20 seconds left: the poller (which runs while requests are waiting)
+  // hands off the first request, and only that one however often it looks
+  fake.state.playing = { trackId: 'epic', progressMs: 12 * 60 * 1000 - 15000 };
+  await waitFor(() => fake.state.queue.length > 0);
+  const polls = () => fake.state.calls.filter(call => call === 'GET /v1/me/player/currently-playing').length;
+  const pollsBefore = polls();
+  await waitFor(() => polls() >= pollsBefore + 2);
+  assert.deepEqual(fake.state.queue, ['song0']);
+
+  // The end of each following song hands off the next one in turn
+  fake.state.playing = { trackId: 'song0', progressMs: 190000 };
+  await waitFor(() => fake.state.queue.length > 1);
+  assert.deepEqual(fake.state.queue, ['song0', 'song2']);
+
+  fake.state.playing = { trackId: 'song2', progressMs: 190000 };
+  await waitFor(() => fake.state.queue.length > 2);
+  assert.deepEqual(fake.state.queue, ['song0', 'song2', 'song1']);
+});
+
+test('votes reorder pending requests and ties keep the fair order', async () => {
+  // Something long is playing, so requests wait in the server's queue
+  fake.state.playing = { trackId: 'epic', progressMs: 1000 };
+  const [alice, bob, carol] = [await createGuest(), await createGuest(), await createGuest()];
+
+  const requestIds = {};
+  for (const [guest, trackId] of [[alice, 'song0'], [alice, 'song1'], [bob, 'song2'], [carol, 'song3']]) {
+    const response = await addToQueue(guest, trackId);
+    assert.equal(response.status, 200);
+    requestIds[trackId] = (await response.json()).requestId;
+  }
+  const pendingOrder = async () => (await (await createClient()(`${party}/queue`)).json()).queue
+    .filter(track => track.pending)
+    .map(track => [track.id, track.score]);
+
+  // Without votes everyone's first song comes before anyone's second, and
+  // each round goes in submission order
+  assert.deepEqual(await pendingOrder(), [['song0', 0], ['song2', 0], ['song3', 0], ['song1', 0]]);
+
+  const vote = (guest, trackId, direction) => guest(`${party}/queue/${requestIds[trackId]}/${direction}`, { method: 'POST' });
+  assert.equal((await vote(bob, 'song1', 'upvote')).status, 200);
+  assert.equal((await vote(alice, 'song3', 'downvote')).status, 200);
+  assert.equal((await vote(alice, 'song0', 'upvote')).status, 403);
+  assert.deepEqual(await pendingOrder(), [['song1', 1], ['song0', 0], ['song2', 0], ['song3', -1]]);
+
+  // Voting the same way again takes the vote back
+  await vote(bob, 'song1', 'upvote');
+  assert.deepEqual(await pendingOrder(), [['song0', 0], ['song2', 0], ['song1', 0], ['song3', -1]]);
+});
+
+test('the party history records queue attempts and exports them', async () => {
+  await host(`${party}/vibe`, { method: 'POST', body: { preset: 'chill' } });
+  const guest = await createGuest();
+  assert.equal((await addToQueue(guest, 'loud')).status, 403);
+  assert.equal((await addToQueue(guest, 'calm')).status, 200);
+
+  fake.state.activeDevice = false;
+  assert.equal((await addToQueue(await createGuest(), 'nodevice')).status, 404);
+  fake.state.activeDevice = true;
+
+  await host(`${party}/rate-limit/policy`, { method: 'PUT', body: { capacity: 1 } });
+  const limited = await createGuest();
+  assert.equal((await addToQueue(limited, 'song0')).status, 200);
+  assert.equal((await addToQueue(limited, 'song10')).status, 429);
+
+  const guestExport = await createClient()(`${party}/history/export?format=csv`);
+  assert.equal(guestExport.status, 401);
+
+  const response = await host(`${party}/history/export?format=csv`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /party-history-.*\.csv/);
+
+  const [header, ...rows] = (await response.text()).trim().split('\r\n');
+  assert.equal(header, 'at,type,outcome,reason,trackId,name,artists,guestId,nickname,vibePreset,vibePassed');
+  assert.ok(rows.some(row => row.includes(',request,rejected,vibe_mismatch,loud,')));
+  assert.ok(rows.some(row => row.includes(',request,accepted,,calm,Calm Waters,Slow Band,')));
+  assert.ok(rows.some(row => row.includes(',request,rejected,no_active_device,nodevice,')));
+  assert.ok(rows.some(row => row.includes(',request,rate_limited,guest_limit,song10,')));
+
+  const invalid = await host(`${party}/history/export?format=xml`);
+  assert.equal(invalid.status, 400);
+});
+
+test('tracks seen by the now-playing poller are exported as an M3U playlist', async () => {
+  // A guest who never set a nickname asks for it, then it plays
+  const guest = await createGuest();
+  assert.equal((await addToQueue(guest, 'airplay')).status, 200);
+  fake.state.playing = { trackId: 'airplay', progressMs: 1000 };
+
+  // The poller only runs while someone is listening
+  const listener = new AbortController();
+  const events = await createClient()(`${party}/events`, { signal: listener.signal });
+  assert.equal(events.status, 200);
+
+  try {
+    const playlist = await waitFor(async () => {
+      const text = await (await host(`${party}/history/export?format=m3u`)).text();
+      return text.includes('open.spotify.com/track/airplay') && text;
+    });
+    assert.match(playlist, /^#EXTM3U\n/);
+    assert.match(playlist, /#EXTINF:200,Radio Band - On The Radio\nhttps:\/\/open\.spotify\.com\/track\/airplay\n/);
+
+    // It's attributed to the guest who asked for it
+    const { entries } = await (await host(`${party}/history/export?format=json`)).json();
+    const played = entries.find(entry => entry.type === 'played' && entry.trackId === 'airplay');
+    const requested = entries.find(entry => entry.type === 'request' && entry.trackId === 'airplay' && entry.outcome === 'accepted');
+    assert.equal(played.guestId, requested.guestId);
+    const nowPlaying = await (await createClient()(`${party}/now-playing`)).json();
+    assert.equal(nowPlaying.track.requestedBy, 'Guest');
+  } finally {
+    listener.abort();
+    fake.state.playing = null;
+  }
+});
+
+test('the host can save what played as a Spotify playlist, or append to one', async () => {
+  await play('airplay');
+
+  const guest = await createClient()(`${party}/history/playlist`, { method: 'POST', body: {} });
+  assert.equal(guest.status, 401);
+
+  const created = await host(`${party}/history/playlist`, { method: 'POST', body: { name: 'Test Party' } });
+  assert.equal(created.status, 200);
+  const result = await created.json();
+  assert.equal(result.added, 1);
+
+  const playlist = fake.state.playlists.get(result.playlistId);
+  assert.equal(playlist.name, 'Test Party');
+  assert.equal(playlist.public, false);
+  assert.deepEqual(playlist.uris, ['spotify:track:airplay']);
+
+  // Appending skips tracks the playlist already has
+  const appended = await host(`${party}/history/playlist`, {
+    method: 'POST',
+    body: { playlistId: `https://open.spotify.com/playlist/${result.playlistId}?si=abc` },
+  });
+  assert.equal(appended.status, 200);
+  assert.deepEqual(await appended.json(), {
+    success: true,
+    playlistId: result.playlistId,
+    url: `https://open.spotify.com/playlist/${result.playlistId}`,
+    added: 0,
+    skipped: 1,
+  });
+  assert.deepEqual(playlist.uris, ['spotify:track:airplay']);
+
+  const missing = await host(`${party}/history/playlist`, { method: 'POST', body: { playlistId: 'nope' } });
+  assert.equal(missing.status, 404);
+});
+
+test('parties are independent and only their host can connect Spotify', async () => {
+  const otherHost = createClient();
+  const { code } = await (await otherHost('/api/parties', { method: 'POST' })).json();
+  const other = `/api/p/${code}`;
+
+  assert.equal((await createClient()('/api/health')).status, 200);
+
+  // Codes work in any case; unknown ones don't
+  const lookup = await (await createClient()(`/api/parties/${code.toLowerCase()}`)).json();
+  assert.deepEqual(lookup, { code, connected: false, isHost: false });
+  const unknown = await createClient()('/api/p/NOPE99/vibe');
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).error, 'party_not_found');
+
+  // Nothing is connected yet, and the first party's host isn't this one's
+  assert.equal((await createClient()(`${other}/now-playing`)).status, 401);
+  assert.equal((await host(`${other}/vibe`, { method: 'POST', body: { preset: 'hype' } })).status, 401);
+
+  const setVibe = await otherHost(`${other}/vibe`, { method: 'POST', body: { preset: 'hype' } });
+  assert.equal(setVibe.status, 200);
+  assert.equal((await (await createClient()(`${other}/vibe`)).json()).currentPreset, 'hype');
+  assert.notEqual((await (await createClient()(`${party}/vibe`)).json()).currentPreset, 'hype');
+
+  // Each party has its own host PIN, shown only to its host
+  const { hostPin } = await (await otherHost(`${other}/auth/status`)).json();
+  assert.match(hostPin, /^\d{6}$/);
+  assert.equal((await (await createClient()(`${other}/auth/status`)).json()).hostPin, null);
+  const firstPin = (await (await host(`${party}/auth/status`)).json()).hostPin;
+  const secondDevice = createClient();
+  if (firstPin !== hostPin) {
+    const wrongParty = await secondDevice(`${other}/auth/pin`, { method: 'POST', body: { pin: firstPin } });
+    assert.equal(wrongParty.status, 403);
+  }
+  const unlocked = await secondDevice(`${other}/auth/pin`, { method: 'POST', body: { pin: hostPin } });
+  assert.equal(unlocked.status, 200);
+  assert.equal((await (await secondDevice(`${other}/auth/status`)).json()).isHost, true);
+  assert.equal((await (await secondDevice(`${party}/auth/status`)).json()).isHost, false);
+
+  // A guest can't claim the party by logging in with their own Spotify
+  const callback = await connectSpotify(createClient(), code);
+  assert.equal(callback.headers.get('location'), `${FRONTEND_URL}/p/${code}?error=host_auth_required`);
+  assert.equal((await (await createClient()(`/api/parties/${code}`)).json()).connected, false);
+});
+
+test('the host\'s blocklist carries over to their next party', async () => {
+  const blocked = await host(`${party}/blocklist`, { method: 'POST', body: { type: 'track', value: 'calm' } });
+  const { entry } = await blocked.json();
+
+  try {
+    const { code } = await (await host('/api/parties', { method: 'POST' })).json();
+    const next = `/api/p/${code}`;
+    assert.deepEqual((await (await host(`${next}/blocklist`)).json()).entries, []);
+
+    // Connecting the same Spotify account brings its list along
+    await connectSpotify(host, code);
+    const { entries } = await (await host(`${next}/blocklist`)).json();
+    assert.deepEqual(entries.map(e => [e.type, e.value]), [['track', 'calm']]);
+
+    await host(`${next}/auth/logout`, { method: 'POST' });
+  } finally {
+    await host(`${party}/blocklist/${entry.id}`, { method: 'DELETE' });
+  }
+});
+
+test('one device can only start a few parties an hour', async () => {
+  const starter = await createGuest();
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await starter('/api/parties', { method: 'POST' })).status, 201);
+  }
+  const limited = await starter('/api/parties', { method: 'POST' });
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).error, 'too_many_parties_started');
+});